@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+// Interactive console for a running NodeServer.
+// Usage: polyinterface [--host host] [--port port] [--profileNum n]
+// The settings default to the dev mode settings (dev.json and environment
+// variables). The other MQTT settings are read from the environment.
+
+'use strict';
+
+const devMode = require('../lib/devMode.js');
+const Console = require('../lib/Console.js');
+
+const argNames = {
+  '--host': 'mqttHost',
+  '--port': 'mqttPort',
+  '--profileNum': 'profileNum',
+};
+
+function parseArgs(argv) {
+  const result = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      result.help = true;
+    } else if (argNames[argv[i]] && argv[i + 1] !== undefined) {
+      result[argNames[argv[i]]] = argv[++i];
+    } else {
+      throw new Error('Invalid argument ' + argv[i]);
+    }
+  }
+
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: polyinterface [--host host] [--port port] ' +
+      '[--profileNum n]');
+    return;
+  }
+
+  delete args.help;
+  const settings = await devMode.load(true);
+  const stdinConfig = Object.assign(settings.stdinConfig, args);
+
+  if (!stdinConfig.mqttHost) {
+    throw new Error('MQTT host not set. ' +
+      'Use --host, POLYINTERFACE_MQTT_HOST or dev.json');
+  }
+
+  const polyConsole = new Console(stdinConfig);
+  polyConsole.on('stop', function() {
+    process.exit(0);
+  });
+  polyConsole.start();
+}
+
+main().catch(function(err) {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const URL = require('url').URL;
+const logger = require('./logger.js');
+const messageSchemas = require('./messageSchemas.js');
+
+// Max size of a request body
+const maxBodySize = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Reads and parses the JSON body of a request. Empty bodies are {}.
+function readJsonBody(req) {
+  return new Promise(function(resolve, reject) {
+    let body = '';
+
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) {
+      body += chunk;
+      if (body.length > maxBodySize) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', function() {
+      try {
+        resolve(body.trim() ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(new HttpError(400, 'Invalid JSON body: ' + err.message));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Local HTTP admin API, used to inspect and drive the nodes.
+//   GET  /config                     Last config received
+//   GET  /nodes                      Nodes, with their drivers and commands
+//   GET  /nodes/<address>            A single node
+//   GET  /notices                    Active notices
+//   GET  /stats                      Runtime metrics (See getStats())
+//   POST /nodes/<address>/command    Runs a command: {cmd, value, uom, query}
+//   POST /nodes/<address>/query      Queries a node
+//   POST /poll                       Short poll, or long poll: {long: true}
+// Commands, queries and polls are queued as if Polyglot had sent them.
+// Every request needs the token, in an Authorization: Bearer header or in the
+// token query parameter. POST requests must be application/json, so that a web
+// page cannot send them with a plain form.
+module.exports = class AdminServer {
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+
+    // Random if not set. Printed on stderr when the server starts, never
+    // written to the log file.
+    this.token = options.token || crypto.randomBytes(16).toString('hex');
+    this._printToken = !options.token;
+
+    this._server = null;
+  }
+
+  listen() {
+    const _this = this;
+
+    this._server = http.createServer(function(req, res) {
+      _this._handle(req, res);
+    });
+
+    this._server.on('error', function(err) {
+      logger.errorStack(err, 'Admin API error:');
+    });
+
+    this._server.listen(this.port, this.host, function() {
+      logger.info('Admin API listening on %s:%d', _this.host, _this.port);
+      if (_this._printToken) {
+        logger.info('Admin API token generated, printed on stderr');
+        process.stderr.write('Admin API token: ' + _this.token + '\n');
+      }
+    });
+  }
+
+  close() {
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+    }
+  }
+
+  async _handle(req, res) {
+    try {
+      const result = await this._route(req);
+      this._send(res, result.statusCode || 200, result.body);
+    } catch (err) {
+      if (!(err instanceof HttpError)) {
+        logger.errorStack(err, 'Admin API error on %s %s:',
+          req.method, req.url);
+      }
+      this._send(res, err.statusCode || 500, {error: err.message});
+    }
+  }
+
+  _send(res, statusCode, body) {
+    res.writeHead(statusCode, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body, null, 2) + '\n');
+  }
+
+  // Throws if the request does not have the token, or if a POST is not JSON
+  _authorize(req, query) {
+    const auth = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = Buffer.from(auth ? auth[1] : query.get('token') || '');
+    const expected = Buffer.from(this.token);
+
+    if (token.length !== expected.length ||
+      !crypto.timingSafeEqual(token, expected)) {
+      throw new HttpError(401, 'Invalid or missing token');
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0];
+    if (req.method === 'POST' && contentType.trim() !== 'application/json') {
+      throw new HttpError(415, 'Content-Type must be application/json');
+    }
+  }
+
+  // Returns {statusCode, body}
+  async _route(req) {
+    const poly = this.polyInterface;
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '');
+    let parts;
+
+    try {
+      parts = path.split('/').slice(1).map(decodeURIComponent);
+    } catch (err) {
+      throw new HttpError(400, 'Invalid URL: ' + err.message);
+    }
+    const route = req.method + ' /' +
+      parts.map(function(part, i) {
+        return parts[0] === 'nodes' && i === 1 ? ':address' : part;
+      }).join('/');
+
+    this._authorize(req, url.searchParams);
+
+    switch (route) {
+      case 'GET /config':
+        this._requireConfig();
+        return {body: this._config()};
+
+      case 'GET /nodes':
+        return {body: Object.keys(poly.getNodes()).map(function(address) {
+          return this._describeNode(poly.getNode(address));
+        }, this)};
+
+      case 'GET /nodes/:address':
+        return {body: this._describeNode(this._getNode(parts[1]))};
+
+      case 'GET /notices':
+        this._requireConfig();
+        return {body: poly.getNotices()};
+
+      case 'GET /stats':
+        return {body: poly.getStats()};
+
+      case 'POST /nodes/:address/command':
+        return this._queue('command', Object.assign({},
+          await readJsonBody(req),
+          {address: this._getNode(parts[1]).address}));
+
+      case 'POST /nodes/:address/query':
+        return this._queue('query', {address: this._getNode(parts[1]).address});
+
+      case 'POST /poll':
+        return this._queue(
+          (await readJsonBody(req)).long ? 'longPoll' : 'shortPoll', {});
+
+      default:
+        throw new HttpError(404, 'Not found: ' + req.method + ' ' + path);
+    }
+  }
+
+  // Throws until the first config is received
+  _requireConfig() {
+    if (!this.polyInterface._config) {
+      throw new HttpError(503, 'No config received from Polyglot yet');
+    }
+  }
+
+  _getNode(address) {
+    const node = this.polyInterface.getNode(address);
+
+    if (!node) {
+      throw new HttpError(404, 'Node ' + address + ' not found');
+    }
+
+    return node;
+  }
+
+  // The config, without the values of the secret params of the schema
+  _config() {
+    const config = this.polyInterface.getConfig();
+    const schema = this.polyInterface._paramsSchema;
+
+    if (config && schema && config.customParams) {
+      config.customParams = Object.assign({}, config.customParams);
+      schema.schema.forEach(function(entry) {
+        if (entry.secret && entry.name in config.customParams) {
+          config.customParams[entry.name] = '********';
+        }
+      });
+    }
+
+    // The nodes are described by /nodes. The custom data is left out, as
+    // NodeServers keep their tokens there.
+    if (config) {
+      delete config.nodes;
+      delete config.customData;
+    }
+
+    return config;
+  }
+
+  _describeNode(node) {
+    const commands = {};
+
+    Object.keys(node.commands).forEach(function(cmd) {
+      const command = node.commands[cmd];
+      commands[cmd] = typeof command === 'object' && command.params ?
+        {params: command.params} : {};
+    });
+
+    return {
+      address: node.address,
+      name: node.name,
+      nodeDefId: node.id,
+      primary: node.primary,
+      enabled: node.enabled,
+      added: node.added,
+      drivers: node.drivers,
+      commands: commands,
+    };
+  }
+
+  // Queues a message as if Polyglot had sent it
+  _queue(messageKey, content) {
+    const message = {node: 'polyglot'};
+    message[messageKey] = content;
+
+    const errors = messageSchemas.validateInbound(messageKey, content);
+    if (errors.length) {
+      throw new HttpError(400, errors.join(', '));
+    }
+
+    this.polyInterface._onMessage(message);
+
+    return {statusCode: 202, body: {queued: messageKey}};
+  }
+};
@@ -0,0 +1,408 @@
+// Interactive console for a running NodeServer. It connects to the MQTT
+// topic of the NodeServer and sends messages as Polyglot would.
+
+'use strict';
+
+const events = require('events');
+const fs = require('fs');
+const readline = require('readline');
+const util = require('util');
+const mqtt = require('mqtt');
+const mqttOptions = require('./mqttOptions.js');
+const polyglotConfig = require('./polyglotConfig.js');
+
+const readFile = util.promisify(fs.readFile);
+
+// Console commands: [usage, description]
+const help = [
+  ['nodes', 'List the nodes of the last config'],
+  ['drivers <address>', 'Show the driver values of a node'],
+  ['cmd <address> <cmd> [value] [uom]', 'Send a command to a node'],
+  ['query <address>', 'Send a query to a node'],
+  ['status <address>', 'Send a status request to a node'],
+  ['shortpoll', 'Send a shortPoll'],
+  ['longpoll', 'Send a longPoll'],
+  ['watch [on|off]', 'Show the messages received from the NodeServer'],
+  ['params', 'Show the customParams'],
+  ['param <key> <value>', 'Set a customParam, and send the config'],
+  ['unparam <key>', 'Remove a customParam, and send the config'],
+  ['config [file]', 'Send the last config, or a config fixture file'],
+  ['quit', 'Exit the console'],
+];
+
+module.exports = class Console extends events.EventEmitter {
+  // stdinConfig: {mqttHost, mqttPort, profileNum, ...}, like the stdin config
+  // received by the NodeServer.
+  // options: {mqtt: {...}, input: stream, output: stream}
+  constructor(stdinConfig, options = {}) {
+    super();
+
+    this.stdinConfig = stdinConfig;
+    this.profileNum = parseInt(stdinConfig.profileNum, 10);
+    this.topic = 'udi/polyglot/ns/' + this.profileNum;
+    this.options = options;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    // Show the status messages received
+    this.watch = true;
+
+    // Last config seen on the topic (sent by Polyglot or by us)
+    this.config = null;
+
+    // address => {name, nodedef, drivers: {driver: {value, uom}}}
+    this.nodes = {};
+
+    this._client = null;
+    this._rl = null;
+  }
+
+  // Connects to MQTT and starts the prompt
+  start() {
+    const _this = this;
+    const connection = mqttOptions(this.stdinConfig, process.env,
+      this.options.mqtt);
+
+    // The client ID must differ from the one of the NodeServer, which may be
+    // in the same settings: The broker disconnects a client when another
+    // one connects with the same ID.
+    connection.options.clientId = 'polyinterface-console-' +
+      Math.random().toString(16).substr(2, 8);
+
+    this._client = mqtt.connect(connection.url, connection.options);
+
+    this._client.on('connect', function() {
+      _this._client.subscribe(_this.topic);
+      _this.print('Connected to %s, topic %s', connection.url, _this.topic);
+      _this._rl.prompt();
+    });
+
+    this._client.on('error', function(err) {
+      _this.print('MQTT error: %s', err.message);
+    });
+
+    this._client.on('message', function(topic, message) {
+      if (message.length) {
+        try {
+          _this._onMessage(JSON.parse(message));
+        } catch (err) {
+          _this.print('Invalid message: %s', err.message);
+        }
+      }
+    });
+
+    this._rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: 'poly> ',
+      completer: function(line) {
+        return _this._complete(line);
+      },
+    });
+
+    this._rl.on('line', async function(line) {
+      try {
+        await _this.run(line);
+      } catch (err) {
+        _this.print('Error: %s', err.message);
+      }
+      if (_this._rl) {
+        _this._rl.prompt();
+      }
+    });
+
+    this._rl.on('close', function() {
+      _this.stop();
+    });
+  }
+
+  // Disconnects, and closes the prompt
+  stop() {
+    const rl = this._rl;
+
+    this._rl = null;
+    if (rl) {
+      rl.close();
+    }
+    if (this._client) {
+      this._client.end();
+      this._client = null;
+    }
+    this.emit('stop');
+  }
+
+  print() {
+    this.output.write(util.format.apply(util, arguments) + '\n');
+  }
+
+  // Publishes a message as Polyglot
+  send(message) {
+    this._client.publish(this.topic,
+      JSON.stringify(Object.assign({node: 'polyglot'}, message)));
+  }
+
+  // Handler for the messages of the topic
+  _onMessage(message) {
+    const _this = this;
+
+    if (message.node === 'polyglot') {
+      if (message.config) {
+        this._onConfig(message.config);
+      }
+      return;
+    }
+
+    // Messages from the NodeServer
+    Object.keys(message).forEach(function(key) {
+      const content = message[key];
+
+      switch (key) {
+        case 'node':
+          break;
+
+        case 'status':
+          [].concat(content).forEach(function(s) {
+            _this._onStatus(s);
+          });
+          break;
+
+        case 'addnode':
+          content.nodes.forEach(function(n) {
+            _this.nodes[n.address] = polyglotConfig.nodeState(n);
+            _this.print('< addnode %s (%s) %s', n.address, n.node_def_id,
+              n.name);
+          });
+          break;
+
+        // Polyglot would save them, and send them in the next config. Keeps
+        // the last config up to date, so that param and config use them.
+        case 'customparams':
+          if (_this.config) {
+            _this.config.customParams = content;
+          }
+          _this._watchMessage(key, content);
+          break;
+
+        case 'customdata':
+          if (_this.config) {
+            _this.config.customData = content;
+          }
+          _this._watchMessage(key, content);
+          break;
+
+        default:
+          _this._watchMessage(key, content);
+      }
+    });
+  }
+
+  _watchMessage(key, content) {
+    if (this.watch) {
+      this.print('< %s %j', key, content);
+    }
+  }
+
+  _onConfig(config) {
+    const _this = this;
+
+    this.config = config;
+    this.nodes = {};
+
+    (config.newNodes || config.nodes || []).forEach(function(n) {
+      const address = n.address.slice(5);
+      _this.nodes[address] = Object.assign({}, n, {
+        address: address,
+        primary: n.primary.slice(5),
+      });
+    });
+  }
+
+  _onStatus(s) {
+    const node = this.nodes[s.address];
+
+    if (node) {
+      node.drivers = node.drivers || {};
+      node.drivers[s.driver] = {value: s.value, uom: s.uom};
+    }
+
+    if (this.watch) {
+      this.print('< status %s %s = %s (uom %s)', s.address, s.driver,
+        s.value, s.uom);
+    }
+  }
+
+  // Completes command names and node addresses
+  _complete(line) {
+    const words = line.split(' ');
+    const candidates = words.length === 1 ?
+      help.map(function(h) {
+        return h[0].split(' ')[0];
+      }) :
+      Object.keys(this.nodes);
+    const last = words[words.length - 1];
+    const hits = candidates.filter(function(c) {
+      return c.startsWith(last);
+    });
+
+    return [hits.length ? hits : candidates, last];
+  }
+
+  _requireNode(address) {
+    if (!address) {
+      throw new Error('Missing node address');
+    }
+    if (this.config && !this.nodes[address]) {
+      this.print('Warning: Node %s is not in the last config', address);
+    }
+  }
+
+  _requireConfig() {
+    if (!this.config) {
+      throw new Error('No config received yet. Use config <file>');
+    }
+  }
+
+  // Runs a console command line
+  async run(line) {
+    const _this = this;
+    const args = line.trim().split(/\s+/);
+    const command = args.shift().toLowerCase();
+
+    switch (command) {
+      case '':
+        break;
+
+      case 'help':
+      case '?':
+        help.forEach(function(h) {
+          _this.print('%s  %s', h[0].padEnd(34), h[1]);
+        });
+        break;
+
+      case 'nodes':
+        Object.keys(this.nodes).forEach(function(address) {
+          const n = _this.nodes[address];
+          _this.print('%s  %s  %s%s', address, n.nodedef || n.node_def_id,
+            n.name, n.enabled === false ? '  (disabled)' : '');
+        });
+        break;
+
+      case 'drivers':
+        this._showDrivers(args[0]);
+        break;
+
+      case 'cmd':
+        this._sendCommand(args[0], args[1], args[2], args[3]);
+        break;
+
+      case 'query':
+      case 'status':
+        this._requireNode(args[0]);
+        this.send({[command]: {address: args[0]}});
+        break;
+
+      case 'shortpoll':
+        this.send({shortPoll: {}});
+        break;
+
+      case 'longpoll':
+        this.send({longPoll: {}});
+        break;
+
+      case 'watch':
+        this.watch = args[0] ? args[0] === 'on' : !this.watch;
+        this.print('Watch is %s', this.watch ? 'on' : 'off');
+        break;
+
+      case 'params':
+        this._requireConfig();
+        Object.keys(this.config.customParams || {}).forEach(function(key) {
+          _this.print('%s = %s', key, _this.config.customParams[key]);
+        });
+        break;
+
+      case 'param':
+        this._setParam(args[0], args.slice(1).join(' '));
+        break;
+
+      case 'unparam':
+        this._setParam(args[0], undefined);
+        break;
+
+      case 'config':
+        if (args[0]) {
+          await this.sendFixture(args[0]);
+        } else {
+          this._requireConfig();
+          this.sendConfig(this.config);
+        }
+        break;
+
+      case 'quit':
+      case 'exit':
+        this.stop();
+        break;
+
+      default:
+        throw new Error('Unknown command ' + command + '. Type help.');
+    }
+  }
+
+  _showDrivers(address) {
+    const _this = this;
+    this._requireNode(address);
+
+    const drivers = (this.nodes[address] || {}).drivers || {};
+    Object.keys(drivers).forEach(function(driver) {
+      _this.print('%s = %s (uom %s)', driver, drivers[driver].value,
+        drivers[driver].uom);
+    });
+  }
+
+  _sendCommand(address, cmd, value, uom) {
+    this._requireNode(address);
+    if (!cmd) {
+      throw new Error('Usage: cmd <address> <cmd> [value] [uom]');
+    }
+
+    const command = {address: address, cmd: cmd};
+    if (value !== undefined) {
+      command.value = value;
+    }
+    if (uom !== undefined) {
+      command.uom = uom;
+    }
+    this.send({command: command});
+  }
+
+  // Sets a customParam (removes it if value is undefined), and sends the
+  // config with the new customParams to the NodeServer.
+  _setParam(key, value) {
+    this._requireConfig();
+    if (!key) {
+      throw new Error('Missing param key');
+    }
+
+    const customParams = Object.assign({}, this.config.customParams);
+    if (value === undefined) {
+      delete customParams[key];
+    } else {
+      customParams[key] = value;
+    }
+
+    this.sendConfig(Object.assign({}, this.config, {
+      customParams: customParams,
+    }));
+  }
+
+  // Sends a config. It is also received by us, which updates this.config.
+  sendConfig(config) {
+    this.send({config: config});
+  }
+
+  // Sends a config built from a fixture file ({nodes, customParams, ...})
+  async sendFixture(fileName) {
+    const fixture = JSON.parse(await readFile(fileName, 'utf8'));
+    this.sendConfig(polyglotConfig.configFromFixture(fixture, this.profileNum));
+  }
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const logger = require('./logger.js');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+// Keeps a snapshot of the driver values of the nodes, and restores them on the
+// initial config. Used when the persistDrivers option of the interface is set.
+//   storage: 'file' or 'customData' (Default 'file'). Each customData save
+//     makes Polyglot send a new config.
+//   key: customData key of the snapshot (Default 'driverValues')
+//   file: Snapshot file, when storage is 'file' (Default 'drivers.json')
+//   debounce: Time in ms to wait for more changes before saving (Default 5000)
+//   maxAge: Values older than this (ms) are not restored. 0 for no limit.
+// Drivers declared with persist: false are not saved nor restored.
+// Snapshot: {address: {driver: {value, uom, time}}}
+module.exports = class DriverStore {
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+    this.storage = options.storage || 'file';
+    this.key = options.key || 'driverValues';
+    this.file = path.resolve(options.file || 'drivers.json');
+    this.debounce = 'debounce' in options ? options.debounce : 5000;
+    this.maxAge = options.maxAge || 0;
+
+    this._snapshot = {};
+    this._excluded = {}; // address => drivers declared with persist: false
+    this._timer = null;
+  }
+
+  // Called when a node is created, before the config drivers are applied.
+  // Keeps track of the drivers which opted out.
+  addNode(node) {
+    const drivers = node.drivers || {};
+
+    this._excluded[node.address] = Object.keys(drivers).filter(function(d) {
+      return drivers[d] && drivers[d].persist === false;
+    });
+  }
+
+  removeNode(address) {
+    delete this._excluded[address];
+
+    if (address in this._snapshot) {
+      delete this._snapshot[address];
+      this._schedule();
+    }
+  }
+
+  _isExcluded(address, driver) {
+    return (this._excluded[address] || []).includes(driver);
+  }
+
+  // Loads the snapshot. config is the initial config, for customData storage.
+  async load(config) {
+    try {
+      if (this.storage === 'file') {
+        this._snapshot = JSON.parse(await readFile(this.file, 'utf8'));
+      } else {
+        const customData = config.customData || {};
+        this._snapshot = customData[this.key] || {};
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.errorStack(err, 'Could not load the driver values:');
+      }
+      this._snapshot = {};
+    }
+  }
+
+  // Restores the driver values of a node from the snapshot
+  restore(node) {
+    const _this = this;
+    const saved = this._snapshot[node.address] || {};
+    const now = Date.now();
+
+    Object.keys(saved).forEach(function(driver) {
+      const entry = saved[driver];
+      const current = node.drivers[driver];
+
+      if (!current || _this._isExcluded(node.address, driver)) {
+        return;
+      }
+
+      if (_this.maxAge && now - entry.time > _this.maxAge) {
+        return;
+      }
+
+      // The uom of a driver may have changed since the snapshot
+      if (String(entry.uom) !== String(current.uom)) {
+        return;
+      }
+
+      current.value = entry.value;
+    });
+  }
+
+  // Called by the node when setDriver changed a value
+  onDriverChanged(node, driver) {
+    if (this._isExcluded(node.address, driver)) {
+      return;
+    }
+
+    const saved = this._snapshot[node.address] =
+      this._snapshot[node.address] || {};
+
+    saved[driver] = {
+      value: node.drivers[driver].value,
+      uom: node.drivers[driver].uom,
+      time: Date.now(),
+    };
+
+    this._schedule();
+  }
+
+  _schedule() {
+    const _this = this;
+
+    if (!this._timer) {
+      this._timer = setTimeout(function() {
+        _this._timer = null;
+        _this.save();
+      }, this.debounce);
+    }
+  }
+
+  // Saves the snapshot now, if a save is pending
+  async flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+      await this.save();
+    }
+  }
+
+  async save() {
+    try {
+      if (this.storage === 'file') {
+        // Written to a temporary file first, so that a crash does not leave a
+        // truncated snapshot
+        const tmpFile = this.file + '.tmp';
+        await writeFile(tmpFile, JSON.stringify(this._snapshot));
+        await rename(tmpFile, this.file);
+      } else {
+        // A copy, the snapshot keeps changing
+        this.polyInterface.addCustomData(
+          {[this.key]: JSON.parse(JSON.stringify(this._snapshot))});
+      }
+    } catch (err) {
+      logger.errorStack(err, 'Could not save the driver values:');
+    }
+  }
+};
@@ -0,0 +1,404 @@
+// In-process fake Polyglot, used to test NodeServers without stdin, MQTT
+// broker, Polyglot or ISY.
+
+'use strict';
+
+const events = require('events');
+const polyglotConfig = require('./polyglotConfig.js');
+
+// Fake Polyglot attached to an Interface instance.
+// Usage:
+//   const poly = new Polyglot.Interface([ControllerNode, MyNode]);
+//   const polyglot = new FakePolyglot(poly);
+//   await polyglot.start({nodes: [...], customParams: {...}});
+//   await polyglot.sendCommand('node003', 'DON', 100);
+//   polyglot.sent('status'); // All status messages published by the nodes
+module.exports = class FakePolyglot extends events.EventEmitter {
+  constructor(polyInterface, options = {}) {
+    super();
+
+    this.polyInterface = polyInterface;
+    this.profileNum = options.profileNum || 1;
+
+    // Function called for each node received in an addnode message. Returns
+    // the result sent back: {success: true|false, reason: 'text'}
+    this.addNodeResult = options.addNodeResult || function(node) {
+      return {
+        success: true,
+        reason: 'AddNode: ' + node.address + ' added successfully.',
+      };
+    };
+
+    // Polyglot sends a new config after nodes, customParams, customData or
+    // notices are changed. Set to false to send configs manually only.
+    this.echoConfig = options.echoConfig !== false;
+
+    // Notices in object format (newer Polyglot), or an array (older).
+    this.noticesFormatObject = options.noticesFormatObject !== false;
+
+    // By default, the interface does not install its signal handlers nor
+    // exit the process, which belongs to the tests. Set to true to keep them.
+    this.handleSignals = options.handleSignals === true;
+
+    // Every message published by the NodeServer, in order.
+    this.messages = [];
+
+    // What Polyglot would have in its database
+    this.nodes = {};
+    this.customParams = {};
+    this.customData = {};
+    this.notices = this.noticesFormatObject ? {} : [];
+    this._noticeKeys = {}; // Notice key => text, for the array format
+
+    // Last driver values reported: address => driver => {value, uom}
+    this._reported = {};
+
+    this._attach();
+  }
+
+  // Replaces stdin and MQTT on the interface with this fake
+  _attach() {
+    const _this = this;
+    const polyInterface = this.polyInterface;
+
+    polyInterface._getStdinConfig = async function() {
+      return {
+        mqttHost: 'localhost',
+        mqttPort: 0,
+        profileNum: _this.profileNum,
+      };
+    };
+
+    // The test process must not be terminated by the interface
+    if (!this.handleSignals) {
+      polyInterface._installSignalHandlers = function() {};
+      polyInterface._exit = function() {};
+    }
+
+    polyInterface._mqttStart = function() {
+      this._mqttClient = _this._createClient();
+      this._mqttClientConnected = true;
+      this._mqttPolyglotConnected = true;
+      this.emit('mqttConnected');
+    };
+  }
+
+  // Minimal stand-in for the mqtt client used by the interface
+  _createClient() {
+    const _this = this;
+
+    return {
+      connected: true,
+      subscribe: function() {},
+      publish: function(topic, payload, options, cb) {
+        _this._onPublish(JSON.parse(payload));
+        if (typeof cb === 'function') {
+          cb();
+        }
+      },
+      end: function(force, options, cb) {
+        this.connected = false;
+        cb = [force, options, cb].find(function(arg) {
+          return typeof arg === 'function';
+        });
+        if (cb) {
+          cb();
+        }
+      },
+      on: function() {},
+    };
+  }
+
+  // Starts the interface, then sends the initial config.
+  // initialState: {nodes, customParams, customData, notices}
+  // nodes are {address, primary, name, nodedef, drivers, controller, ...}
+  async start(initialState = {}) {
+    const _this = this;
+
+    (initialState.nodes || []).forEach(function(n) {
+      _this._addNodeState(n);
+    });
+
+    ['customParams', 'customData', 'notices'].forEach(function(prop) {
+      if (initialState[prop]) {
+        _this[prop] = initialState[prop];
+      }
+    });
+
+    await this.polyInterface.start();
+    this.sendConfig();
+    await this.idle();
+
+    this._seedDrivers();
+  }
+
+  // Polyglot stores all the drivers of a node when it is added. The nodes of
+  // the initial state which were given without drivers get the drivers
+  // declared by their class, so that the next configs include all of them.
+  _seedDrivers() {
+    const _this = this;
+
+    Object.keys(this.nodes).forEach(function(address) {
+      const node = _this.polyInterface.getNode(address);
+
+      if (!_this.nodes[address].drivers && node) {
+        _this.nodes[address].drivers =
+          polyglotConfig.copyDrivers(node.drivers);
+      }
+    });
+  }
+
+  // Adds a node to the fake Polyglot database
+  _addNodeState(n) {
+    this.nodes[n.address] = polyglotConfig.nodeState(n);
+  }
+
+  // Builds a config message from the current state
+  buildConfig(overrides = {}) {
+    return polyglotConfig.buildConfig({
+      profileNum: this.profileNum,
+      nodes: this.nodes,
+      customParams: this.customParams,
+      customData: this.customData,
+      notices: this.notices,
+    }, overrides);
+  }
+
+  // Sends a raw message to the interface, as Polyglot would.
+  send(message) {
+    this.polyInterface._onMessage(Object.assign({node: 'polyglot'}, message));
+  }
+
+  // Sends a config message built from the current state
+  sendConfig(overrides = {}) {
+    this.send({config: this.buildConfig(overrides)});
+  }
+
+  // Sends a command to a node, and waits until it is processed.
+  // query is used for commands with multiple parameters.
+  async sendCommand(address, cmd, value = null, uom = null, query = null) {
+    const command = {address: address, cmd: cmd};
+
+    if (value !== null) {
+      command.value = '' + value;
+    }
+    if (uom !== null) {
+      command.uom = '' + uom;
+    }
+    if (query) {
+      command.query = query;
+    }
+
+    this.send({command: command});
+    await this.idle();
+  }
+
+  // Sends a query request for a node
+  async sendQuery(address) {
+    this.send({query: {address: address}});
+    await this.idle();
+  }
+
+  // Sends a status request for a node
+  async sendStatus(address) {
+    this.send({status: {address: address}});
+    await this.idle();
+  }
+
+  async shortPoll() {
+    this.send({shortPoll: {}});
+    await this.idle();
+  }
+
+  async longPoll() {
+    this.send({longPoll: {}});
+    await this.idle();
+  }
+
+  // Sends stop, and waits for the shutdown to complete
+  async stop() {
+    this.send({stop: {}});
+    await this.polyInterface._shutdownPromise;
+  }
+
+  // Sends delete, and waits for the shutdown to complete
+  async delete() {
+    this.send({delete: {}});
+    await this.polyInterface._shutdownPromise;
+  }
+
+  // Resolves once the interface queue is empty and pending replies are sent
+  async idle() {
+    const queue = this.polyInterface._queue;
+    let idleCount = 0;
+
+    // Requires 2 consecutive idle checks, so that replies scheduled by the
+    // last message processed have a chance to be queued.
+    while (idleCount < 2) {
+      await new Promise(function(resolve) {
+        setImmediate(resolve);
+      });
+
+      idleCount = queue.isIdle() ? idleCount + 1 : 0;
+    }
+  }
+
+  // Returns the content of the messages published with that key.
+  // Example: sent('status') => [{address, driver, value, uom}, ...]
+  sent(key) {
+    return this.messages
+    .filter(function(message) {
+      return key in message;
+    })
+    .map(function(message) {
+      return message[key];
+    });
+  }
+
+  // Forget the messages received so far
+  clearMessages() {
+    this.messages = [];
+  }
+
+  // Returns the last driver value reported for a node: {value, uom}
+  getDriver(address, driver) {
+    const reported = this._reported[address];
+    return reported ? reported[driver] : undefined;
+  }
+
+  // Handler for messages published by the NodeServer
+  _onPublish(message) {
+    const _this = this;
+    let configChanged = false;
+
+    this.messages.push(message);
+    this.emit('message', message);
+
+    Object.keys(message).forEach(function(key) {
+      const content = message[key];
+
+      switch (key) {
+        case 'status':
+          _this._onStatus(content);
+          break;
+
+        case 'addnode':
+          content.nodes.forEach(function(n) {
+            const result = _this.addNodeResult(n);
+            if (result.success) {
+              _this._addNodeState(n);
+              configChanged = true;
+            }
+            _this._sendResult('addnode', Object.assign({address: n.address},
+              result));
+          });
+          break;
+
+        case 'removenode':
+          if (_this.nodes[content.address]) {
+            delete _this.nodes[content.address];
+            delete _this._reported[content.address];
+            configChanged = true;
+          }
+          _this._sendResult('removenode', {
+            success: true,
+            reason: 'RemoveNode: ' + content.address + ' removed.',
+            address: content.address,
+          });
+          break;
+
+        case 'customparams':
+          _this.customParams = Object.assign({}, content);
+          configChanged = true;
+          _this._sendResult('customparams', {
+            success: true,
+            reason: 'Custom params saved.',
+          });
+          break;
+
+        case 'customdata':
+          _this.customData = Object.assign({}, content);
+          configChanged = true;
+          _this._sendResult('customdata', {
+            success: true,
+            reason: 'Custom data saved.',
+          });
+          break;
+
+        case 'installprofile':
+          _this._sendResult('installprofile', {
+            success: true,
+            reason: 'Profile installed.',
+          });
+          break;
+
+        case 'addnotice':
+          if (_this.noticesFormatObject) {
+            _this.notices[content.key] = content.value;
+          } else {
+            _this.notices.push(content.value);
+            _this._noticeKeys[content.key] = content.value;
+          }
+          configChanged = true;
+          break;
+
+        case 'removenotice':
+          _this._removeNotice(content);
+          configChanged = true;
+          break;
+      }
+    });
+
+    if (configChanged && this.echoConfig) {
+      setImmediate(function() {
+        _this.sendConfig();
+      });
+    }
+  }
+
+  // Keeps track of the driver values reported.
+  // status can be a single status or an array (batched statuses)
+  _onStatus(status) {
+    const _this = this;
+
+    [].concat(status).forEach(function(s) {
+      const node = _this.nodes[s.address];
+
+      if (node) {
+        _this._reported[s.address] = _this._reported[s.address] || {};
+        _this._reported[s.address][s.driver] = {value: s.value, uom: s.uom};
+
+        // Nodes without drivers are seeded once the initial config is
+        // processed (See _seedDrivers)
+        if (node.drivers) {
+          node.drivers[s.driver] = {value: s.value, uom: s.uom};
+        }
+      }
+    });
+  }
+
+  // removenotice is either {key: 'key'}, or the notice text (array format)
+  _removeNotice(content) {
+    if (this.noticesFormatObject) {
+      delete this.notices[content.key];
+    } else {
+      const removed = typeof content === 'object' ?
+        this._noticeKeys[content.key] : content;
+
+      this.notices = this.notices.filter(function(text) {
+        return text !== removed;
+      });
+    }
+  }
+
+  // Sends a result message (Example: result of an addnode)
+  _sendResult(key, content) {
+    const _this = this;
+    const result = {profileNum: '' + this.profileNum};
+    result[key] = content;
+
+    setImmediate(function() {
+      _this.send({result: result});
+    });
+  }
+};
@@ -4,23 +4,154 @@
 'use strict';
 
 const events = require('events');
+const fs = require('fs');
 const mqtt = require('mqtt');
 const logger = require('./logger.js');
 const Queue = require('./Queue.js');
+const OutboundBuffer = require('./OutboundBuffer.js');
+const StatusReporter = require('./StatusReporter.js');
+const ParamsSchema = require('./ParamsSchema.js');
+const PollScheduler = require('./PollScheduler.js');
 const Node = require('./Node.js');
+const mqttOptions = require('./mqttOptions.js');
+const devMode = require('./devMode.js');
+const polyglotConfig = require('./polyglotConfig.js');
+const messageSchemas = require('./messageSchemas.js');
+const Metrics = require('./Metrics.js');
+const AdminServer = require('./AdminServer.js');
+const DriverStore = require('./DriverStore.js');
+const ProfileGenerator = require('./ProfileGenerator.js');
+const validateProfile = require('./ProfileValidator.js').validateProfile;
+
+// Compares the keys of 2 objects (Such as customParams of 2 configs).
+// Returns {
+//   changed: [{key, oldValue, newValue}] (new keys have oldValue undefined),
+//   removed: [{key, oldValue}],
+// }
+function diffKeys(oldObj, newObj) {
+  oldObj = oldObj || {};
+  newObj = newObj || {};
+
+  return {
+    changed: Object.keys(newObj)
+    .filter(function(key) {
+      return !(key in oldObj) ||
+        JSON.stringify(oldObj[key]) !== JSON.stringify(newObj[key]);
+    })
+    .map(function(key) {
+      return {key: key, oldValue: oldObj[key], newValue: newObj[key]};
+    }),
+    removed: Object.keys(oldObj)
+    .filter(function(key) {
+      return !(key in newObj);
+    })
+    .map(function(key) {
+      return {key: key, oldValue: oldObj[key]};
+    }),
+  };
+}
+
+// Notices in array format are keyed by their text
+function noticesToObject(notices) {
+  if (!Array.isArray(notices)) {
+    return notices;
+  }
+
+  return notices.reduce(function(result, text) {
+    result[text] = text;
+    return result;
+  }, {});
+}
 
 // This is the interface class to Polyglot
 module.exports = class Interface extends events.EventEmitter {
   // All node classes have to be declared to the interface
-  constructor(declaredNodeClasses) {
+  // options:
+  //   profile: {
+  //     generate: true to generate the profile files before updateProfile(),
+  //     dir: Profile directory (Default 'profile'),
+  //     zipFile: Profile package (Default 'profile.zip'),
+  //     metadata: Profile metadata per nodeDefId (see ProfileGenerator),
+  //     validate: false to skip the profile validation on start,
+  //   }
+  //   outboundBuffer: true or {maxSize: 1000} to keep the messages sent
+  //     while disconnected, and send them once reconnected.
+  //   statusBatching: true or {window, maxPerMessage, minInterval} to send
+  //     the driver statuses in batches (See StatusReporter).
+  //   paramsSchema: Custom parameters schema (See ParamsSchema).
+  //   queueConcurrency: Messages for different nodes processed in parallel
+  //     (Default 1).
+  //   handlerTimeouts: Timeout in ms per message type, such as
+  //     {command: 60000, query: 60000}. 0 for no timeout.
+  //   pollScheduler: true or {jitter} to call shortPoll() and longPoll() on
+  //     each node (See PollScheduler).
+  //   shutdownTimeout: Max time in ms for each shutdown step (Default 10000)
+  //   exitOnShutdown: false to keep the process running after the shutdown
+  //   heartbeatInterval: Interval in ms to publish our connected status
+  //     (Default 60000). 0 to disable.
+  //   dev: true, or {settings, fixture} to enable the development mode.
+  //     See devMode.js.
+  //   logFormat: 'text' (Default) or 'json' for JSON lines log entries.
+  //   log: Log settings {level, dir, maxSize, maxFiles}. See logger.js.
+  //   logLevelParam: Name of the custom param which sets the log level.
+  //     Defaults to logLevel. false to disable.
+  //   adminApi: {port, host, token} to enable the local HTTP admin API. host
+  //     defaults to 127.0.0.1. See AdminServer.js.
+  //   metrics: {port, host} to serve the metrics in the Prometheus format on
+  //     http://host:port/metrics. host defaults to 127.0.0.1.
+  //   strictMessages: true to validate the messages sent to Polyglot, and
+  //     throw if invalid. Defaults to true in dev mode.
+  //   mqtt: MQTT connection settings {host, port, protocol, path, username,
+  //     password, ca, cert, key, rejectUnauthorized, keepalive,
+  //     reconnectPeriod, clientId}. See mqttOptions.js.
+  //   persistDrivers: true or {storage, key, file, debounce, maxAge} to save
+  //     the driver values and restore them after a restart. See DriverStore.js.
+  constructor(declaredNodeClasses, options = {}) {
     super();
 
+    // Options passed to the constructor
+    this._options = options;
+
+    if (options.logFormat) {
+      logger.setFormat(options.logFormat);
+    }
+
+    if (options.log) {
+      if (options.log.dir || options.log.maxSize || options.log.maxFiles) {
+        logger.configure(options.log);
+      }
+      if (options.log.level) {
+        logger.setLevel(options.log.level);
+      }
+    }
+
+    // Custom param used to change the log level at runtime. Removing it
+    // restores the initial level.
+    this._logLevelParam = 'logLevelParam' in options ?
+      options.logLevelParam : 'logLevel';
+    this._initialLogLevel = logger.getLevel();
+    this._logLevelParamValue = undefined; // Value in the last config
+
     this.isCloud = false; // Allows the nodeserver to detect if using PGC
 
     // MQTT Host and port set from stdin
     this._mqttHost = null;
     this._mqttPort = null;
 
+    // Config received from stdin. May hold MQTT connection settings.
+    this._stdinConfig = {};
+
+    // Development mode settings, and the fake Polyglot used in dev mode
+    // when no MQTT broker is configured
+    this._devMode = devMode.isEnabled(options.dev);
+    this._devSettings = null;
+    this._devPolyglot = null;
+    this._devConfigSent = false;
+
+    // Validates the messages we send, and throws if invalid
+    this._strictMessages = 'strictMessages' in options ?
+      options.strictMessages : this._devMode;
+
     // The mqtt topic relevant to our profile number
     this._mqttTopic = null;
 
@@ -39,22 +170,109 @@ module.exports = class Interface extends events.EventEmitter {
     // Is polyglot connected to the queue?
     this._mqttPolyglotConnected = false;
 
-    // This is the last config received
+    // This is the last config received, with the customParams and customData
+    // sent since then (See _setPending())
     this._config = null;
 
-    // Some polyglot messages are queued for processing
+    // This is the last config received, as received
+    this._receivedConfig = null;
+
+    const _this = this;
+
+    // Timeout in ms of the handlers, per message type. 0 for no timeout.
+    this._handlerTimeouts = Object.assign({
+      command: 60000,
+      query: 60000,
+      status: 60000,
+      shortPoll: 60000,
+      longPoll: 60000,
+      config: 0,
+    }, options.handlerTimeouts);
+
+    // Some polyglot messages are queued for processing.
+    // Messages for the same node are processed in order, messages for
+    // different nodes can be processed in parallel. Config is a barrier.
     this._queue = new Queue(
       this._onMessageQueued,
       this,
-      'Message Queue Processor');
+      'Message Queue Processor', {
+        concurrency: options.queueConcurrency || 1,
+        keyOf: function(opt) {
+          const address = opt.messageContent && opt.messageContent.address;
+          return address ? 'node-' + address : opt.messageKey;
+        },
+        isBarrier: function(opt) {
+          return opt.messageKey === 'config';
+        },
+        timeoutOf: function(opt) {
+          return _this._handlerTimeouts[opt.messageKey] || 0;
+        },
+        onTimeout: function(opt, timeout) {
+          _this._onHandlerTimeout(opt, timeout);
+        },
+        onDone: function(opt, duration, err) {
+          _this._metrics.onQueueDone(opt, duration, err);
+          _this._onHandlerDone(opt, duration);
+        },
+      });
+
+    // Runtime metrics, see getStats()
+    this._metrics = new Metrics(this);
+
+    // Local HTTP admin API, if enabled
+    this._adminServer = options.adminApi && options.adminApi.port ?
+      new AdminServer(this, options.adminApi) : null;
+
+    // Driver values saved and restored across restarts, if enabled
+    this._driverStore = null;
+    if (options.persistDrivers) {
+      this._driverStore = new DriverStore(this,
+        options.persistDrivers === true ? {} : options.persistDrivers);
+    }
 
     // We use this to track the messages sent to Polyglot
     // We do this to return the response top sendMessageAsync
     this._messageAsyncTracking = {};
 
+    // Messages sent while disconnected, if enabled
+    this._outboundBuffer = null;
+    if (options.outboundBuffer) {
+      this._outboundBuffer = new OutboundBuffer(
+        options.outboundBuffer.maxSize);
+    }
+
+    // Driver statuses are sent in batches, if enabled
+    this._statusReporter = null;
+    if (options.statusBatching) {
+      this._statusReporter = new StatusReporter(
+        this.sendMessage.bind(this),
+        options.statusBatching === true ? {} : options.statusBatching);
+    }
+
+    // Calls the poll methods of the nodes, if enabled
+    this._pollScheduler = null;
+    if (options.pollScheduler) {
+      this._pollScheduler = new PollScheduler(this,
+        options.pollScheduler === true ? {} : options.pollScheduler);
+
+      this.on('nodeAdded', function(node) {
+        _this._pollScheduler.addNode(node);
+      });
+
+      this.on('nodeRemoved', function(node) {
+        _this._pollScheduler.removeNode(node);
+      });
+    }
+
     // true if we received stop or delete
     this._shuttingDown = false;
 
+    // Promise of the shutdown sequence, once started
+    this._shutdownPromise = null;
+
+    // Timer publishing our connected message, if heartbeatInterval is set
+    this._heartbeatTimer = null;
+
     // These are the declared nodes classes (see below)
     this._nodeClasses = {};
 
@@ -64,23 +282,42 @@ module.exports = class Interface extends events.EventEmitter {
     // We use this to detect config sent continuously in a loop
     this._configCounter = 0;
 
+    // Mismatches found between the node classes and the profile
+    this._profileErrors = [];
+
+    // Custom parameters schema, and the typed values parsed with it
+    this._paramsSchema = options.paramsSchema ?
+      new ParamsSchema(options.paramsSchema) : null;
+    this._typedParams = {};
+
     // Notices format
     // true: Notices are in object format
     // false: Notices are in an array
     this._noticesFormatObject = false;
 
     // Set this_nodeClasses correctly on startup
-    const _this = this;
     declaredNodeClasses.forEach(function(nodeClass) {
       _this._nodeClasses[nodeClass.nodeDefId] = nodeClass;
     });
   }
 
-  // Starts the interface by getting MQTT parameters from stdin
+  // Starts the interface by getting MQTT parameters from stdin, or from the
+  // local settings in development mode
   async start() {
     logger.info('Interface starting');
     try {
-      const stdinConfig = await this._getStdinConfig();
+      if (this._devMode && !this._devSettings) {
+        this._devSettings = await devMode.load(this._options.dev);
+        logger.warn('Development mode');
+
+        if (!this._devSettings.stdinConfig.mqttHost) {
+          return await this._startDevPolyglot();
+        }
+      }
+
+      const stdinConfig = this._devSettings ?
+        this._devSettings.stdinConfig : await this._getStdinConfig();
+      this._stdinConfig = stdinConfig;
       this._mqttHost = stdinConfig.mqttHost;
       this._mqttPort = stdinConfig.mqttPort;
       this._profileNum = typeof stdinConfig.profileNum === 'string' ?
@@ -88,38 +325,280 @@ module.exports = class Interface extends events.EventEmitter {
         stdinConfig.profileNum;
       this._mqttTopic = 'udi/polyglot/ns/' + this._profileNum;
       this._mqttTopicPolyglotConnection = 'udi/polyglot/connections/polyglot';
+      this._validateProfile();
+      this._installSignalHandlers();
+
+      if (this._options.metrics && this._options.metrics.port) {
+        this._metrics.listen(this._options.metrics.port,
+          this._options.metrics.host);
+      }
+
+      if (this._adminServer) {
+        this._adminServer.listen();
+      }
+
       this._mqttStart();
     } catch (err) {
       logger.errorStack(err, 'Could not get and process stdin config:');
     }
   }
 
+  // Dev mode without MQTT broker: The fake Polyglot replaces MQTT, and
+  // sends the config fixture. It calls start() again.
+  // FakePolyglot is required here, so that it is not loaded in production.
+  async _startDevPolyglot() {
+    const FakePolyglot = require('./FakePolyglot.js');
+
+    logger.info('No MQTT host configured, using an in-process fake Polyglot');
+
+    // Unlike in tests, signals must stop the NodeServer and the process
+    this._devPolyglot = new FakePolyglot(this, {
+      profileNum: parseInt(this._devSettings.stdinConfig.profileNum, 10),
+      handleSignals: true,
+    });
+
+    await this._devPolyglot.start(this._devSettings.fixture);
+  }
+
+  // Dev mode with an MQTT broker: Polyglot is not there to send the config,
+  // so the config fixture is sent instead, once.
+  _sendDevConfig() {
+    this._devConfigSent = true;
+    this._mqttPolyglotConnected = true;
+    this._onMessage({
+      node: 'polyglot',
+      config: polyglotConfig.configFromFixture(this._devSettings.fixture,
+        this._profileNum),
+    });
+  }
+
   // Currently not used in Polyglot V2
   stop() {}
 
-  // Gets the config from stdin (MQTT parameters and profile number)
+  // Shuts down the NodeServer gracefully when the process is terminated
+  _installSignalHandlers() {
+    const _this = this;
+
+    ['SIGTERM', 'SIGINT'].forEach(function(signal) {
+      process.once(signal, function() {
+        logger.warn('Received %s', signal);
+        _this.shutdown(signal);
+      });
+    });
+  }
+
+  // Graceful shutdown sequence. Reason is 'stop', 'delete' or the signal.
+  //  1. Calls the listeners of the stop or delete event, and waits for them
+  //  2. Calls onStop() on each node, and waits for them
+  //  3. Waits for the queued messages being processed
+  //  4. Sends the pending statuses and tells Polyglot we are disconnected
+  //  5. Closes the MQTT connection and exits the process
+  // Each step is bounded by the shutdownTimeout option.
+  shutdown(reason = 'stop') {
+    if (!this._shutdownPromise) {
+      this._shuttingDown = true;
+      this._shutdownPromise = this._shutdownSequence(reason);
+    }
+
+    return this._shutdownPromise;
+  }
+
+  async _shutdownSequence(reason) {
+    const _this = this;
+    const event = reason === 'delete' ? 'delete' : 'stop';
+    const timeout = this._options.shutdownTimeout || 10000;
+
+    logger.info('Shutting down (%s)', reason);
+
+    if (this._pollScheduler) {
+      this._pollScheduler.stop();
+    }
+
+    this._stopHeartbeat();
+    this._metrics.close();
+    if (this._adminServer) {
+      this._adminServer.close();
+    }
+
+    await this._withTimeout(event + ' listeners', timeout,
+      Promise.all(this.listeners(event).map(function(listener) {
+        return _this._runHook(listener, event + ' listener');
+      })));
+
+    await this._withTimeout('onStop hooks', timeout,
+      Promise.all(Object.keys(this._nodes).map(function(address) {
+        return _this._runNodeHook(_this._nodes[address], 'onStop', reason);
+      })));
+
+    await this._withTimeout('message queue drain', timeout,
+      this._queue.drain());
+
+    if (this._driverStore) {
+      await this._driverStore.flush();
+    }
+
+    try {
+      this.flushStatus();
+
+      if (this._mqttClient && this._mqttClientConnected) {
+        this._sendMessage({connected: false}, true);
+      }
+    } catch (err) {
+      logger.errorStack(err, 'Error sending last messages:');
+    }
+
+    if (this._mqttClient) {
+      const mqttClient = this._mqttClient;
+      await this._withTimeout('MQTT connection close', timeout,
+        new Promise(function(resolve) {
+          mqttClient.end(false, resolve);
+        }));
+    }
+
+    logger.info('Shutdown complete');
+
+    if (this._options.exitOnShutdown !== false) {
+      this._exit(0);
+    }
+  }
+
+  // Waits for promise, for up to timeout ms. Logs a warning on timeout.
+  async _withTimeout(what, timeout, promise) {
+    let timer = null;
+
+    const finished = await Promise.race([
+      promise.then(function() {
+        return true;
+      }),
+      new Promise(function(resolve) {
+        timer = setTimeout(resolve, timeout, false);
+      }),
+    ]);
+
+    clearTimeout(timer);
+
+    if (!finished) {
+      logger.warn('Shutdown: Timeout waiting for %s', what);
+    }
+  }
+
+  // Runs a function which can be async. Errors are logged, never thrown.
+  async _runHook(fn, what) {
+    try {
+      await fn.call(this);
+    } catch (err) {
+      logger.errorStack(err, 'Error in %s:', what);
+    }
+  }
+
+  // Exits the process
+  _exit(code) {
+    process.exit(code);
+  }
+
+  // Validates the declared node classes against the profile directory.
+  // Errors are logged, and a notice is added when we get the first config.
+  _validateProfile() {
+    const profileOptions = this._options.profile || {};
+    const dir = profileOptions.dir || 'profile';
+
+    if (profileOptions.validate === false) {
+      return;
+    }
+
+    if (!fs.existsSync(dir)) {
+      logger.warn('Profile directory %s not found, profile not validated',
+        dir);
+      return;
+    }
+
+    try {
+      this._profileErrors = validateProfile(
+        Object.values(this._nodeClasses), dir, this);
+    } catch (err) {
+      logger.errorStack(err, 'Error validating profile:');
+    }
+
+    this._profileErrors.forEach(function(error) {
+      logger.error('Profile validation: %s', error);
+    });
+  }
+
+  // Adds or removes the profile validation notice
+  _noticeProfileErrors() {
+    const key = 'profileValidation';
+
+    if (this._profileErrors.length) {
+      this._setNotice(key, 'The profile does not match the node classes: ' +
+        this._profileErrors.join('; '));
+    } else {
+      this._clearNotice(key);
+    }
+  }
+
+  // Adds a notice, unless it is already there with the same text.
+  // Used on config, where adding it again would trigger a new config.
+  _setNotice(key, text) {
+    const existing = this._noticesFormatObject ?
+      this.getNotices()[key] : this.noticeExists(key);
+
+    if (existing !== text) {
+      this.addNotice(key, text);
+    }
+  }
+
+  // Removes a notice, only if it exists
+  _clearNotice(key) {
+    if (this._noticesFormatObject ?
+      key in this.getNotices() : this.noticeExists(key)) {
+      this.removeNotice(key);
+    }
+  }
+
+  // Gets the config from stdin (MQTT parameters and profile number).
+  // The config is a JSON line, which may be received in multiple chunks.
   async _getStdinConfig() {
     return new Promise(function(resolve, reject) {
+      let data = '';
+
       logger.info('Waiting for stdin');
 
-      setTimeout(function() {
-        reject(new Error('Timeout waiting for stdin'));
-      }, 2000);
+      function done(err, config) {
+        clearTimeout(timer);
+        process.stdin.removeListener('readable', onReadable);
+        process.stdin.pause();
 
-      process.stdin.setEncoding('utf8');
+        if (err) {
+          reject(err);
+        } else {
+          resolve(config);
+        }
+      }
 
-      process.stdin.on('readable', function() {
+      function onReadable() {
         let chunk;
-        let data = '';
 
         while ((chunk = process.stdin.read())) {
           data += chunk;
         }
 
-        if (data !== '' && data[data.length - 1] === '\n') {
-          resolve(JSON.parse(data));
+        const eol = data.indexOf('\n');
+        if (eol >= 0) {
+          try {
+            done(null, JSON.parse(data.slice(0, eol)));
+          } catch (err) {
+            done(new Error('Invalid stdin config: ' + err.message));
+          }
         }
-      });
+      }
+
+      const timer = setTimeout(function() {
+        done(new Error('Timeout waiting for stdin. ' +
+          'Use --dev to run without Polyglot.'));
+      }, 2000);
+
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('readable', onReadable);
     });
   }
 
@@ -127,15 +606,27 @@ module.exports = class Interface extends events.EventEmitter {
   _mqttStart() {
     const _this = this;
 
-    const options = {
-      port: this._mqttPort,
-      clientId: 'mqttjs_' + Math.random().toString(16).substr(2, 8),
-      username: 'admin',
-      password: 'admin',
-      rejectUnauthorized: false,
-    };
+    const connection = mqttOptions(this._stdinConfig, process.env,
+      this._options.mqtt);
+
+    const options = Object.assign(connection.options, {
+      // If we disconnect without telling Polyglot (crash), the broker
+      // publishes this retained message for us.
+      will: {
+        topic: this._mqttTopic,
+        payload: JSON.stringify({
+          node: '' + this._profileNum,
+          connected: false,
+        }),
+        qos: 0,
+        retain: true,
+      },
+    });
+
+    logger.info('MQTT connecting to %s:%s as %s', connection.url,
+      options.port, options.username);
 
-    this._mqttClient = mqtt.connect('mqtts://' + this._mqttHost, options);
+    this._mqttClient = mqtt.connect(connection.url, options);
 
     this._mqttClient.on('error', () => {
       logger.error('MQTT Error');
@@ -150,8 +641,14 @@ module.exports = class Interface extends events.EventEmitter {
         _this._mqttClient.subscribe(_this._mqttTopic);
 
         _this._sendMessage({node: _this.profileNum, connected: true}, true);
+        _this._flushOutboundBuffer();
+        _this._startHeartbeat();
 
         _this.emit('mqttConnected');
+
+        if (_this._devSettings && !_this._devConfigSent) {
+          _this._sendDevConfig();
+        }
       } catch (err) {
         logger.errorStack(err, 'Error on MQTT connect handler:');
       }
@@ -166,7 +663,7 @@ module.exports = class Interface extends events.EventEmitter {
           // We are interested in messages from polyglot only (not ourselves)
           if (parsedMessage.node === 'polyglot') {
             if (topic === _this._mqttTopicPolyglotConnection) {
-              _this._mqttPolyglotConnected = parsedMessage.connected;
+              _this._onPolyglotConnection(parsedMessage.connected);
             }
 
             if (topic === _this._mqttTopic) {
@@ -180,8 +677,9 @@ module.exports = class Interface extends events.EventEmitter {
       }
     });
 
+    // Emitted when a reconnection attempt starts. We are connected again only
+    // once connect is emitted.
     this._mqttClient.on('reconnect', () => {
-      _this._mqttClientConnected = true;
       _this.emit('mqttReconnect');
     });
 
@@ -192,6 +690,7 @@ module.exports = class Interface extends events.EventEmitter {
 
     this._mqttClient.on('close', () => {
       _this._mqttClientConnected = false;
+      _this._stopHeartbeat();
       _this.emit('mqttClose');
     });
 
@@ -201,6 +700,45 @@ module.exports = class Interface extends events.EventEmitter {
     });
   }
 
+  // Polyglot advertises its connection status on its connection topic
+  _onPolyglotConnection(connected) {
+    const wasConnected = this._mqttPolyglotConnected;
+    this._mqttPolyglotConnected = connected;
+
+    if (connected && !wasConnected) {
+      logger.info('Polyglot is connected');
+      this.emit('polyglotConnected');
+    } else if (!connected && wasConnected) {
+      logger.warn('Polyglot is disconnected');
+      this.emit('polyglotDisconnected');
+    }
+
+    this._flushOutboundBuffer();
+  }
+
+  // Publishes our retained connected message periodically, every
+  // heartbeatInterval ms (Default 60000). 0 disables it.
+  _startHeartbeat() {
+    const _this = this;
+    const interval = 'heartbeatInterval' in this._options ?
+      this._options.heartbeatInterval : 60000;
+
+    this._stopHeartbeat();
+
+    if (interval) {
+      this._heartbeatTimer = setInterval(function() {
+        if (_this._mqttClientConnected && !_this._shuttingDown) {
+          _this._sendMessage({connected: true}, true);
+        }
+      }, interval);
+    }
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+
   // Handler for incoming Polyglot messages
   _onMessage(message) {
     const _this = this;
@@ -215,6 +753,16 @@ module.exports = class Interface extends events.EventEmitter {
 
     Object.keys(message).forEach(function(messageKey) {
       const messageContent = message[messageKey];
+
+      // Malformed messages are rejected before being queued
+      const errors = messageSchemas.validateInbound(messageKey,
+        messageContent);
+      if (errors.length) {
+        logger.error('Invalid %s message received: %s',
+          messageKey, errors.join(', '), {messageKey: messageKey});
+        return;
+      }
+
       switch (messageKey) {
         case 'result':
           _this._onResult(messageContent);
@@ -222,14 +770,12 @@ module.exports = class Interface extends events.EventEmitter {
 
         case 'stop':
           logger.warn('Received stop message');
-          _this._shuttingDown = true;
-          _this.emit('stop');
+          _this.shutdown('stop');
           break;
 
         case 'delete':
           logger.warn('Received delete message');
-          _this._shuttingDown = true;
-          _this.emit('delete');
+          _this.shutdown('delete');
           break;
 
         default:
@@ -249,8 +795,64 @@ module.exports = class Interface extends events.EventEmitter {
     });
   }
 
+  // A queued message handler did not finish in time. The queue has moved on
+  // to the next message, and the handler's signal is aborted.
+  _onHandlerTimeout(opt, timeout) {
+    const address = opt.messageContent && opt.messageContent.address;
+    const what = opt.messageKey +
+      (opt.messageContent && opt.messageContent.cmd ?
+        ' ' + opt.messageContent.cmd : '');
+
+    // The address is shown by the log format
+    logger.error('Handler for %s timed out after %d ms', what, timeout, {
+      address: address,
+      messageKey: opt.messageKey,
+      cmd: opt.messageContent && opt.messageContent.cmd,
+    });
+
+    if (this._config) {
+      this._setNotice(this._timeoutNoticeKey(opt),
+        'Handler for ' + what + (address ? ' on node ' + address : '') +
+        ' timed out after ' + timeout / 1000 + ' seconds');
+    }
+  }
+
+  // A queued message handler finished. If it finished in time, the timeout
+  // notice of its node (or message type) is removed.
+  _onHandlerDone(opt, duration) {
+    const timeout = this._handlerTimeouts[opt.messageKey] || 0;
+
+    if (this._config && (!timeout || duration < timeout)) {
+      this._clearNotice(this._timeoutNoticeKey(opt));
+    }
+  }
+
+  _timeoutNoticeKey(opt) {
+    const address = opt.messageContent && opt.messageContent.address;
+    return 'timeout-' + (address || opt.messageKey);
+  }
+
+  // Polls from Polyglot trigger the poll event, and queue the poll of each
+  // node if the pollScheduler option is set. The poll of a node ({address})
+  // runs its shortPoll() or longPoll() method.
+  _onPoll(longPoll, messageContent, signal) {
+    if (messageContent.address) {
+      if (this._pollScheduler) {
+        return this._pollScheduler.run(messageContent.address, longPoll,
+          signal);
+      }
+    } else {
+      this.emit('poll', longPoll);
+
+      if (this._pollScheduler) {
+        this._pollScheduler.poll(longPoll);
+      }
+    }
+  }
+
   // Handler for Polyglot messages that are queued
-  async _onMessageQueued(opt) {
+  // signal is aborted if the handler times out.
+  async _onMessageQueued(opt, signal) {
     const _this = this;
     const messageKey = opt.messageKey;
     const messageContent = opt.messageContent;
@@ -260,20 +862,19 @@ module.exports = class Interface extends events.EventEmitter {
 
       switch (messageKey) {
         case 'config':
-          _this._onConfig(messageContent);
-          break;
+          return _this._onConfig(messageContent);
 
         case 'query':
           node = _this.getNode(messageContent.address);
           if (node) {
-            return node.query();
+            return node.query(messageContent, signal);
           }
           break;
 
         case 'status':
           node = _this.getNode(messageContent.address);
           if (node) {
-            return node.status();
+            return node.status(messageContent, signal);
           }
           break;
 
@@ -286,17 +887,14 @@ module.exports = class Interface extends events.EventEmitter {
             //  value: '6',
             //  uom: '51'
             // }
-            return node.runCmd(messageContent);
+            return node.runCmd(messageContent, signal);
           }
           break;
 
         case 'shortPoll':
-          this.emit('poll', false);
-          break;
-
         case 'longPoll':
-          this.emit('poll', true);
-          break;
+          return this._onPoll(messageKey === 'longPoll', messageContent,
+            signal);
 
         default:
           logger.error('Invalid queued message %s received %o:',
@@ -304,29 +902,56 @@ module.exports = class Interface extends events.EventEmitter {
       }
     } else {
       logger.warn('Message %s ignored: Shutting down nodeserver',
-        messageKey);
+        messageKey, {messageKey: messageKey});
     }
   }
 
   // Sets a newParamsDetected flag to the newConfig object
   _setParamsDetected(oldConfig, newConfig) {
-    const oldConfigParamsKeys = oldConfig && oldConfig.customParams ?
-      Object.keys(oldConfig.customParams) : [];
-    const newConfigParamsKeys = newConfig && newConfig.customParams ?
-      Object.keys(newConfig.customParams) : [];
-
-    const changedParams = newConfigParamsKeys.filter(function(key) {
-      return !(oldConfigParamsKeys.includes(key) &&
-        oldConfig.customParams[key] === newConfig.customParams[key]);
-    });
+    const diff = diffKeys(oldConfig ? oldConfig.customParams : null,
+      newConfig ? newConfig.customParams : null);
+
+    newConfig.newParamsDetected =
+      diff.changed.length !== 0 || diff.removed.length !== 0;
+  }
+
+  // Emits an event for each customParams, customData and notices key which
+  // changed or was removed between 2 configs
+  _emitConfigChanges(oldConfig, newConfig) {
+    const _this = this;
+    const sections = [
+      {prop: 'customParams', changed: 'paramChanged', removed: 'paramRemoved'},
+      {
+        prop: 'customData',
+        changed: 'customDataChanged',
+        removed: 'customDataRemoved',
+      },
+      {prop: 'notices', changed: 'noticeChanged', removed: 'noticeRemoved'},
+    ];
+
+    sections.forEach(function(section) {
+      const diff = diffKeys(noticesToObject(oldConfig[section.prop]),
+        noticesToObject(newConfig[section.prop]));
+
+      diff.changed.forEach(function(change) {
+        _this.emit(section.changed,
+          change.key, change.oldValue, change.newValue);
+      });
 
-    newConfig.newParamsDetected = changedParams.length !== 0;
+      diff.removed.forEach(function(removal) {
+        _this.emit(section.removed, removal.key, removal.oldValue);
+      });
+    });
   }
 
   // Handler for the config message
-  _onConfig(config) {
+  async _onConfig(config) {
     const _this = this;
-    const isInitialConfig = !this._config;
+    const oldConfig = this._receivedConfig;
+    const isInitialConfig = !oldConfig;
+
+    // Node lifecycle events and hooks, run once the config is updated
+    const lifecycle = [];
 
     // logger.info('Config received%s has %d nodes',
     //   isInitialConfig?' (Initial config)':'',
@@ -338,6 +963,14 @@ module.exports = class Interface extends events.EventEmitter {
         // Return boolean
         return typeof val === 'string' ? val === 'true' : val;
       },
+      enabled: function(val) {
+        // Return boolean
+        return typeof val === 'string' ? val === 'true' : val;
+      },
+      added: function(val) {
+        // Return boolean
+        return typeof val === 'string' ? val === 'true' : val;
+      },
       timeAdded: function(t) {
         // Return a Date object
         return typeof t === 'string' ? new Date(parseInt(t, 10)) : t;
@@ -348,20 +981,29 @@ module.exports = class Interface extends events.EventEmitter {
       },
     };
 
+    if (isInitialConfig && this._driverStore) {
+      await this._driverStore.load(config);
+    }
+
     // Use the nodes configuration we get from the config to build the Nodes
     // with the class (Sets up this._nodes)
     config.newNodes.forEach(function(n) {
       const address = n.address.slice(5);
+      const isNewNode = !_this._nodes[address];
       let node;
 
       // If this node does not exists yet in this._nodes, create it
-      if (!_this._nodes[address]) {
+      if (isNewNode) {
         const NodeClass = _this._nodeClasses[n.nodedef];
         const primary = n.primary.slice(5);
 
         if (NodeClass) {
           node = new NodeClass(_this, primary, address, n.name);
           _this._nodes[address] = node;
+
+          if (_this._driverStore) {
+            _this._driverStore.addNode(node);
+          }
         } else {
           logger.error('Config node with address %s has an invalid class %s',
             address, n.nodedef);
@@ -372,9 +1014,13 @@ module.exports = class Interface extends events.EventEmitter {
 
       // If node did not have a valid class, we just ignore it
       if (node) {
+        const oldName = node.name;
+        const oldEnabled = node.enabled;
+
         // node is either a new node, or the existing node.
         // Update the properties of the node with the config
-        ['controller', 'drivers', 'isprimary', 'profileNum', 'timeAdded']
+        ['controller', 'drivers', 'isprimary', 'profileNum', 'timeAdded',
+          'name', 'enabled', 'added']
         .forEach(function(prop) {
           if (prop in n) {
             // logger.info('prop in n %s %s', prop, n[prop])
@@ -385,6 +1031,30 @@ module.exports = class Interface extends events.EventEmitter {
             }
           }
         });
+
+        // The saved driver values replace the defaults after a restart
+        if (isNewNode && isInitialConfig && _this._driverStore) {
+          _this._driverStore.restore(node);
+        }
+
+        if (isNewNode) {
+          lifecycle.push(function() {
+            _this.emit('nodeAdded', node);
+            return _this._runNodeHook(node, 'onAdded');
+          });
+        } else {
+          if (node.name !== oldName) {
+            lifecycle.push(function() {
+              _this.emit('nodeRenamed', node, oldName);
+            });
+          }
+
+          if (node.enabled !== oldEnabled) {
+            lifecycle.push(function() {
+              _this.emit('nodeEnabledChanged', node, node.enabled);
+            });
+          }
+        }
       }
     });
 
@@ -396,14 +1066,25 @@ module.exports = class Interface extends events.EventEmitter {
         });
 
         if (!found) {
+          const node = _this._nodes[address];
+
           logger.info('Node %s was removed from the config', address);
           delete _this._nodes[address];
+
+          if (_this._driverStore) {
+            _this._driverStore.removeNode(address);
+          }
+
+          lifecycle.push(function() {
+            _this.emit('nodeRemoved', node);
+            return _this._runNodeHook(node, 'onRemoved');
+          });
         }
       });
     }
 
     // Sets the newParamsDetected flag in the config
-    this._setParamsDetected(this._config, config);
+    this._setParamsDetected(oldConfig, config);
 
     // We keep track of the notices format (object or array);
     // If array, we track the keys in customData
@@ -411,6 +1092,27 @@ module.exports = class Interface extends events.EventEmitter {
 
     // Keep a reference to the config received
     this._config = config;
+    this._receivedConfig = Object.assign({}, config);
+
+    if (isInitialConfig) {
+      this._noticeProfileErrors();
+    }
+
+    if (this._paramsSchema) {
+      this._applyParamsSchema(isInitialConfig);
+    }
+
+    this._applyLogLevelParam();
+
+    // Node lifecycle events and hooks, then the onConfig hook of every node.
+    // Hooks can be async, we wait for them before emitting the config event.
+    await Promise.all(lifecycle.map(function(run) {
+      return run();
+    }));
+
+    await Promise.all(Object.keys(this._nodes).map(function(address) {
+      return _this._runNodeHook(_this._nodes[address], 'onConfig', config);
+    }));
 
     // Let the node server know we have received a config
     // Processes the config, unless we are detecting a loop
@@ -419,12 +1121,27 @@ module.exports = class Interface extends events.EventEmitter {
         isInitialConfig: isInitialConfig,
         nodes: this._nodes,
       }));
+
+      if (!isInitialConfig) {
+        this._emitConfigChanges(oldConfig, this._receivedConfig);
+      }
     } else {
       logger.error('Config processing loop detected iteration %d. ' +
         'Skipping config processing.', _this._configCounter);
     }
   }
 
+  // Runs a node hook such as onAdded. Errors are logged, never thrown.
+  async _runNodeHook(node, hook, ...args) {
+    try {
+      if (typeof node[hook] === 'function') {
+        await node[hook].apply(node, args);
+      }
+    } catch (err) {
+      logger.errorStack(err, 'Error in %s of node %s:', hook, node.address);
+    }
+  }
+
   // Used to detect if we get configs looping
   _detectConfigLoop() {
     const _this = this;
@@ -435,7 +1152,12 @@ module.exports = class Interface extends events.EventEmitter {
     }, 10000);
 
     // Trigger is over 30 configs within 10 seconds
-    return this._configCounter > 30;
+    const loop = this._configCounter > 30;
+    if (loop) {
+      this._metrics.onConfigLoop();
+    }
+
+    return loop;
   }
 
   // Sample result message
@@ -465,17 +1187,21 @@ module.exports = class Interface extends events.EventEmitter {
   // Handle result messages (result of commands such as addnode)
   _onResult(messageContent) {
     const _this = this;
-    const trackedCommands = ['addnode'];
+    const trackedCommands = [
+      'addnode', 'removenode', 'installprofile', 'customparams', 'customdata',
+    ];
     const ignoredKeys = [
-      'removenode', 'profileNum',
+      'profileNum',
       'statusCode', 'seq', 'elapsed', 'status', 'change', // isyresponse msgs
     ];
 
     // Finds the tracked request, if exists, and resolve/reject it.
     Object.keys(messageContent).forEach(function(key) {
       if (trackedCommands.includes(key)) {
+        // Results for a node are tracked with key-address
         const address = messageContent[key].address;
-        const trackedRequest = _this._messageAsyncTracking[key + '-' + address];
+        const trackingKey = address ? key + '-' + address : key;
+        const trackedRequest = _this._messageAsyncTracking[trackingKey];
         if (trackedRequest) {
           if (messageContent[key].success) {
             trackedRequest.resolve(messageContent[key].reason);
@@ -533,6 +1259,7 @@ module.exports = class Interface extends events.EventEmitter {
     // We need to add the node to the message (string)
     message.node = '' + this._profileNum;
 
+    this._validateMessage(message);
     this.emit('messageSent', message);
 
     this._mqttClient.publish(
@@ -541,6 +1268,19 @@ module.exports = class Interface extends events.EventEmitter {
       {retain: retain});
   }
 
+  // Throws if the strictMessages option is set and the message is invalid.
+  // The public methods call it before buffering or batching the message, so
+  // that the error is thrown to the caller, not from a timer.
+  _validateMessage(message) {
+    if (this._strictMessages) {
+      const errors = messageSchemas.validateOutbound(message);
+      if (errors.length) {
+        throw new Error('Invalid message sent to Polyglot: ' +
+          errors.join(', '));
+      }
+    }
+  }
+
   // Returns true if Polyglot and us are connected to MQTT.
   isConnected() {
     const connected = this._mqttClientConnected && this._mqttPolyglotConnected;
@@ -556,9 +1296,56 @@ module.exports = class Interface extends events.EventEmitter {
   }
 
   // Sends a message to Polyglot. Don't wait for the result.
+  // If not connected, the message is buffered if the buffer is enabled.
   sendMessage(message) {
+    this._validateMessage(message);
+
     if (this.isConnected()) {
       this._sendMessage(message);
+    } else if (this._outboundBuffer) {
+      this._outboundBuffer.add(message);
+    }
+  }
+
+  // Sends the buffered messages, once we and Polyglot are both connected.
+  _flushOutboundBuffer() {
+    const _this = this;
+
+    if (this._outboundBuffer && this._outboundBuffer.length &&
+      this._mqttClientConnected && this._mqttPolyglotConnected) {
+      // An error must not lose the rest of the buffer
+      this._outboundBuffer.flush(function(message) {
+        try {
+          _this._sendMessage(message);
+        } catch (err) {
+          logger.errorStack(err, 'Error sending a buffered message:');
+        }
+      });
+    }
+  }
+
+  // Sends a driver status: {address, driver, value, uom}
+  // Batched if the statusBatching option is set.
+  reportStatus(status) {
+    if (this._statusReporter) {
+      this._validateMessage({status: status});
+      this._statusReporter.report(status);
+    } else {
+      this.sendMessage({status: status});
+    }
+  }
+
+  // Sends the statuses waiting to be batched right away
+  flushStatus() {
+    if (this._statusReporter) {
+      this._statusReporter.flush(true);
+    }
+  }
+
+  // Called by the nodes when setDriver changes a driver value
+  _onDriverChanged(node, driver) {
+    if (this._driverStore) {
+      this._driverStore.onDriverChanged(node, driver);
     }
   }
 
@@ -577,38 +1364,88 @@ module.exports = class Interface extends events.EventEmitter {
       }
     }
 
-    let newTracker = {};
+    if (!_this.isConnected()) {
+      throw new Error('Polyglot not connected');
+    }
 
-    newTracker.promise = new Promise(function(resolve, reject) {
-      if (_this.isConnected()) {
-        newTracker.resolve = resolve;
-        newTracker.reject = reject;
+    const promise = this._trackResult(key, timeout);
+    _this._sendMessage(message);
+    return promise;
+  }
 
-        _this._sendMessage(message);
+  // Creates the tracker for the result message identified by key.
+  // When we get the result message, _onResult has access to the resolve and
+  // reject callbacks. The promise is also available so that the next
+  // sendMessageAsync can wait for this one to finish
+  _trackResult(key, timeout) {
 
-        if (timeout) {
-          // Fail the request if timeout is reached
-          setTimeout(function() {
-            let err = new Error('Polyglot result message not received');
+    const _this = this;
+    const newTracker = {};
+    let timer = null;
+
+    // Once settled, the timer is cleared and the tracker is forgotten
+    function settled() {
+      clearTimeout(timer);
+      if (_this._messageAsyncTracking[key] === newTracker) {
+        delete _this._messageAsyncTracking[key];
+      }
+    }
 
-            // Allows catch to detect if the error is due to a timeout.
-            err.name = 'timeout';
-            reject(err);
-          }, timeout);
-        }
-      } else {
-        reject(new Error('Polyglot not connected'));
+    newTracker.promise = new Promise(function(resolve, reject) {
+      newTracker.resolve = function(result) {
+        settled();
+        resolve(result);
+      };
+      newTracker.reject = function(err) {
+        settled();
+        reject(err);
+      };
+
+      if (timeout) {
+        // Fail the request if timeout is reached
+        timer = setTimeout(function() {
+          let err = new Error('Polyglot result message not received');
+
+          // Allows catch to detect if the error is due to a timeout.
+          err.name = 'timeout';
+          _this._metrics.onRequestTimeout(key);
+          newTracker.reject(err);
+        }, timeout);
       }
     });
 
-    // When we get the result message, we have access to the resolve and
-    // reject callbacks. The promise is also available so that the next
-    // sendMessageAsync can wait for this one to finish
-    _this._messageAsyncTracking[key] = newTracker;
+    this._messageAsyncTracking[key] = newTracker;
 
     return newTracker.promise;
   }
 
+  // Node entry for the addnode message
+  _addNodeEntry(node) {
+    const entry = {
+      address: node.address,
+      name: node.name,
+      node_def_id: node.id,
+      primary: node.primary,
+      drivers:
+        Object.keys(node.drivers)
+        .map(function(key) {
+          const driver = Object.assign({},
+            node.drivers[key],
+            {driver: key});
+
+          // Used by persistDrivers only
+          delete driver.persist;
+          return driver;
+        }),
+    };
+
+    if (node.hint && typeof node.hint === 'string') {
+      entry.hint = node.hint;
+    }
+
+    return entry;
+  }
+
   // Adds a new node to polyglot and ISY
   async addNode(node) {
     if (!node instanceof Node) {
@@ -616,28 +1453,150 @@ module.exports = class Interface extends events.EventEmitter {
     } else {
       const message = {
         addnode: {
-          nodes: [{
-            address: node.address,
-            name: node.name,
-            node_def_id: node.id,
-            primary: node.primary,
-            drivers:
-              Object.keys(node.drivers)
-              .map(function(key) {
-                return Object.assign({},
-                  node.drivers[key],
-                  {driver: key});
-              }),
-          }],
+          nodes: [this._addNodeEntry(node)],
         },
       };
 
-      if (node.hint && typeof node.hint === 'string') {
-        message.addnode.nodes[0].hint = node.hint;
+      return await this.sendMessageAsync('addnode-' + node.address, message);
+    }
+  }
+
+  // Adds multiple nodes, sending up to batchSize nodes per addnode message.
+  // options:
+  //   batchSize: Nodes per addnode message (Default 20)
+  //   concurrency: addnode messages waiting for their results (Default 1)
+  //   skipExisting: Skip nodes already in getNodes() (Default true)
+  //   timeout: Result timeout for each batch in ms (Default 15000)
+  // Resolves with a report per address: {
+  //   node003: {success: true, reason: 'AddNode: ... added'},
+  //   node004: {success: false, reason: 'Polyglot not connected'},
+  //   node005: {success: true, skipped: true, reason: 'Node already exists'},
+  // }
+  // Entries which are not nodes are reported as failed, under their address
+  // if they have one, or their position ('nodes[2]'). Nodes listed twice are
+  // added once. Nodes already being added (by addNode or another addNodes)
+  // are not sent again, they get the result of the pending request.
+  async addNodes(nodes, options = {}) {
+    const _this = this;
+    const batchSize = options.batchSize || 20;
+    const concurrency = options.concurrency || 1;
+    const skipExisting = options.skipExisting !== false;
+    const timeout = 'timeout' in options ? options.timeout : 15000;
+    const report = {};
+    const batches = [];
+    const listed = new Set();
+
+    nodes.forEach(function(node, i) {
+      if (!(node instanceof Node)) {
+        const key = node && typeof node.address === 'string' ?
+          node.address : 'nodes[' + i + ']';
+
+        logger.error('addNodes error: %s is not an instance of Node class',
+          key);
+        report[key] = {
+          success: false,
+          reason: 'Not an instance of Node class',
+        };
+      } else if (listed.has(node.address)) {
+        logger.warn('addNodes: Node %s is listed more than once',
+          node.address);
+      } else if (skipExisting && _this._nodes[node.address]) {
+        listed.add(node.address);
+        report[node.address] = {
+          success: true,
+          skipped: true,
+          reason: 'Node already exists',
+        };
+      } else {
+        listed.add(node.address);
+        if (!batches.length ||
+          batches[batches.length - 1].length >= batchSize) {
+          batches.push([]);
+        }
+        batches[batches.length - 1].push(node);
       }
+    });
 
-      return await this.sendMessageAsync('addnode-' + node.address, message);
+    // Each worker sends one batch at a time, until all batches are sent
+    async function worker() {
+      while (batches.length) {
+        await _this._addNodesBatch(batches.shift(), timeout, report);
+      }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, batches.length); i++) {
+      workers.push(worker());
+    }
+
+    await Promise.all(workers);
+
+    return report;
+  }
+
+  // Sends a single addnode message for a batch of nodes, then waits for the
+  // result of each node. Results are added to the report.
+  // Nodes with a pending addnode request are not sent, their result is the
+  // result of that request.
+  async _addNodesBatch(nodes, timeout, report) {
+    const _this = this;
+
+    if (!this.isConnected()) {
+      nodes.forEach(function(node) {
+        report[node.address] = {
+          success: false,
+          reason: 'Polyglot not connected',
+        };
+      });
+      return;
+    }
+
+    const sent = [];
+
+    const results = nodes.map(function(node) {
+      const key = 'addnode-' + node.address;
+      let promise;
+
+      if (_this._messageAsyncTracking[key]) {
+        promise = _this._messageAsyncTracking[key].promise;
+      } else {
+        promise = _this._trackResult(key, timeout);
+        sent.push(node);
+      }
+
+      return promise.then(function(reason) {
+        report[node.address] = {success: true, reason: reason};
+      }, function(err) {
+        report[node.address] = {
+          success: false,
+          reason: err instanceof Error ? err.message : err,
+        };
+      });
+    });
+
+    if (sent.length) {
+      this._sendMessage({
+        addnode: {
+          nodes: sent.map(function(node) {
+            return _this._addNodeEntry(node);
+          }),
+        },
+      });
     }
+
+    await Promise.all(results);
+  }
+
+  // Message queue depth and wait times
+  getQueueStats() {
+    return this._queue.getStats();
+  }
+
+  // Runtime metrics: Messages received and sent per type, queue stats,
+  // command latency per nodeDefId/cmd, result timeouts, MQTT reconnects and
+  // config loops.
+  getStats() {
+    return this._metrics.getStats();
   }
 
   // Return a copy of the existing config
@@ -675,10 +1634,56 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
-  // Sends the profile to ISY
+  // Generates the profile files from the declared node classes
+  async generateProfile() {
+    const profileOptions = this._options.profile || {};
+    const generator = new ProfileGenerator(
+      Object.values(this._nodeClasses), {
+        metadata: profileOptions.metadata,
+        polyInterface: this,
+      });
+
+    return generator.write(profileOptions.dir, profileOptions.zipFile);
+  }
+
+  // Delete a single node, and wait for the result
+  async delNodeAsync(node, timeout = 15000) {
+    if (!(node instanceof Node)) {
+      throw new Error('delNodeAsync error: node is not an instance of Node');
+    }
+
+    const message = {removenode: {address: node.address}};
+    return this.sendMessageAsync('removenode-' + node.address, message,
+      timeout);
+  }
+
+  // Sends the profile to ISY, and wait for the result.
+  // If enabled, the profile is generated first.
+  async updateProfileAsync(timeout = 60000) {
+    if (this._options.profile && this._options.profile.generate) {
+      await this.generateProfile();
+    }
+
+    const message = {installprofile: {reboot: false}};
+    return this.sendMessageAsync('installprofile', message, timeout);
+  }
+
+  // Sends the profile to ISY. If enabled, the profile is generated first.
   updateProfile() {
+    const _this = this;
     const message = {installprofile: {reboot: false}};
-    this.sendMessage(message);
+
+    if (this._options.profile && this._options.profile.generate) {
+      this.generateProfile()
+      .then(function() {
+        _this.sendMessage(message);
+      })
+      .catch(function(err) {
+        logger.errorStack(err, 'Error generating profile:');
+      });
+    } else {
+      this.sendMessage(message);
+    }
   }
 
   // Get all notices
@@ -793,16 +1798,30 @@ module.exports = class Interface extends events.EventEmitter {
       logger.error('saveCustomParams error: Parameter is not an object.');
     } else {
       const message = {customparams: params};
+      this._setPending('customParams', params);
       this.sendMessage(message);
     }
   }
 
+  // Sets the custom parameters to params, and wait for the result
+  async saveCustomParamsAsync(params, timeout = 15000) {
+    if (typeof params !== 'object') {
+      throw new Error('saveCustomParamsAsync error: ' +
+        'Parameter is not an object.');
+    }
+
+    this._setPending('customParams', params);
+    return this.sendMessageAsync('customparams', {customparams: params},
+      timeout);
+  }
+
   // Add custom params (Keeps the existing params)
   addCustomParams(params) {
     if (typeof params !== 'object') {
       logger.error('addCustomParams error: Parameter is not an object.');
     } else {
-      this.saveCustomParams(Object.assign(this.getCustomParams(), params));
+      this.saveCustomParams(
+        Object.assign({}, this.getCustomParams(), params));
     }
   }
 
@@ -811,7 +1830,7 @@ module.exports = class Interface extends events.EventEmitter {
     if (typeof key !== 'string') {
       logger.error('removeCustomParams error: Parameter is not a string.');
     } else {
-      let params = this.getCustomParams();
+      let params = Object.assign({}, this.getCustomParams());
       if (key in params) {
         delete params[key];
         this.saveCustomParams(params);
@@ -819,6 +1838,99 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
+  // Applies the params schema to the customParams of the last config:
+  // Saves missing defaults, parses the values, adds a notice for each invalid
+  // value. Typed params are sent to the UI on the initial config.
+  _applyParamsSchema(sendTypedParams) {
+    const _this = this;
+    const customParams = this.getCustomParams() || {};
+
+    if (sendTypedParams) {
+      this.saveTypedParams(this._paramsSchema.typedParams());
+    }
+
+    const defaults = this._paramsSchema.missingDefaults(customParams);
+    if (Object.keys(defaults).length) {
+      logger.info('Adding default custom params: %s',
+        Object.keys(defaults).join(', '));
+      this.addCustomParams(defaults);
+    }
+
+    const parsed = this._paramsSchema.parse(customParams);
+    this._typedParams = parsed.values;
+
+    this._paramsSchema.schema.forEach(function(entry) {
+      const key = 'param-' + entry.name;
+      const error = parsed.errors[entry.name];
+
+      if (error) {
+        logger.error('Invalid custom param: %s', error);
+        _this._setNotice(key, error);
+      } else {
+        _this._clearNotice(key);
+      }
+    });
+  }
+
+  // Sets the log level from the reserved custom param, if enabled.
+  // Only when the param changed, so that setLogLevel() is not undone by the
+  // next config.
+  _applyLogLevelParam() {
+    const param = this._logLevelParam;
+    const customParams = this.getCustomParams() || {};
+
+    if (!param || customParams[param] === this._logLevelParamValue) {
+      return;
+    }
+
+    this._logLevelParamValue = customParams[param];
+
+    const level = customParams[param] ?
+      ('' + customParams[param]).trim().toLowerCase() : this._initialLogLevel;
+
+    try {
+      if (level !== logger.getLevel() || level !== logger.getLevel('ns')) {
+        this.setLogLevel(level);
+      }
+      this._clearNotice('param-' + param);
+    } catch (err) {
+      logger.error('Invalid custom param %s: %s', param, err.message);
+      this._setNotice('param-' + param, 'Parameter ' + param + ': ' +
+        err.message);
+    }
+  }
+
+  // Sets the log level of the poly and ns loggers at runtime.
+  // Levels: error, warn, info, http, verbose, debug, silly
+  setLogLevel(level) {
+    logger.setLevel(level);
+    logger.warn('Log level set to %s', level);
+  }
+
+  // Returns the current log level
+  getLogLevel() {
+    return logger.getLevel();
+  }
+
+  // Sets the custom params schema. See ParamsSchema.
+  setParamsSchema(schema) {
+    this._paramsSchema = new ParamsSchema(schema);
+
+    if (this._config) {
+      this._applyParamsSchema(true);
+    }
+  }
+
+  // Get the custom params values parsed with the params schema
+  getTypedParams() {
+    return Object.assign({}, this._typedParams);
+  }
+
+  // Get a single custom param value parsed with the params schema
+  getTypedParam(key) {
+    return this._typedParams[key];
+  }
+
   // Sets the custom parameters to params
   saveTypedParams(typedParams) {
     if (!Array.isArray(typedParams)) {
@@ -842,16 +1954,36 @@ module.exports = class Interface extends events.EventEmitter {
       logger.error('saveCustomData error: Parameter is not an object');
     } else {
       const message = {customdata: data};
+      this._setPending('customData', data);
       this.sendMessage(message);
     }
   }
 
+  // Sets the custom data to data, and wait for the result
+  async saveCustomDataAsync(data, timeout = 15000) {
+    if (typeof data !== 'object') {
+      throw new Error('saveCustomDataAsync error: Parameter is not an object.');
+    }
+
+    this._setPending('customData', data);
+    return this.sendMessageAsync('customdata', {customdata: data}, timeout);
+  }
+
+  // Keeps the customParams or customData sent until Polyglot sends them back
+  // in a config, so that the add and remove methods called in the meantime
+  // build on them.
+  _setPending(prop, value) {
+    if (this._config) {
+      this._config[prop] = value;
+    }
+  }
+
   // Add custom data (Keeps the existing data)
   addCustomData(data) {
     if (typeof data !== 'object') {
       logger.error('addCustomData error: Parameter is not an object.');
     } else {
-      this.saveCustomData(Object.assign(this.getCustomData(), data));
+      this.saveCustomData(Object.assign({}, this.getCustomData(), data));
     }
   }
 
@@ -860,7 +1992,7 @@ module.exports = class Interface extends events.EventEmitter {
     if (typeof key !== 'string') {
       logger.error('removeCustomData error: Parameter is not a string.');
     } else {
-      let data = this.getCustomData();
+      let data = Object.assign({}, this.getCustomData());
 
       if (key in data) {
         delete data[key];
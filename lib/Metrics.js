@@ -0,0 +1,233 @@
+'use strict';
+
+const http = require('http');
+const logger = require('./logger.js');
+
+// Escapes a Prometheus label value
+function labelValue(value) {
+  return ('' + value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+}
+
+// Formats a Prometheus metric line. labels is an object, or null.
+function metricLine(name, labels, value) {
+  const labelsStr = labels ? '{' + Object.keys(labels).map(function(key) {
+    return key + '="' + labelValue(labels[key]) + '"';
+  }).join(',') + '}' : '';
+
+  return name + labelsStr + ' ' + value;
+}
+
+// Runtime metrics of the interface.
+// Messages are counted from the messageReceived and messageSent events, MQTT
+// reconnections from the mqttConnected events after the first one, and
+// command latencies from the message queue.
+module.exports = class Metrics {
+  constructor(polyInterface) {
+    const _this = this;
+
+    this.polyInterface = polyInterface;
+    this.startedAt = Date.now();
+
+    this.messagesReceived = {}; // message key => count
+    this.messagesSent = {}; // message key => count
+    this.commands = {}; // nodeDefId/cmd => {count, errors, totalMs, maxMs}
+    this.requestTimeouts = {}; // sendMessageAsync key => count
+    this.mqttReconnects = 0; // Successful reconnections, not attempts
+    this.configLoops = 0;
+
+    this._mqttConnectedOnce = false;
+    this._server = null;
+
+    polyInterface.on('messageReceived', function(message) {
+      _this._countKeys(_this.messagesReceived, message);
+    });
+
+    polyInterface.on('messageSent', function(message) {
+      _this._countKeys(_this.messagesSent, message);
+    });
+
+    polyInterface.on('mqttConnected', function() {
+      if (_this._mqttConnectedOnce) {
+        _this.mqttReconnects++;
+      }
+      _this._mqttConnectedOnce = true;
+    });
+  }
+
+  _countKeys(counters, message) {
+    Object.keys(message).forEach(function(key) {
+      if (key !== 'node') {
+        counters[key] = (counters[key] || 0) + 1;
+      }
+    });
+  }
+
+  // Called by the queue once a message is processed
+  onQueueDone(opt, duration, err) {
+    if (opt.messageKey !== 'command') {
+      return;
+    }
+
+    // Not getNode(), which logs an error for the unknown addresses
+    const node = this.polyInterface._nodes[opt.messageContent.address];
+    const key = (node ? node.id : 'unknown') + '/' + opt.messageContent.cmd;
+    const stats = this.commands[key] = this.commands[key] ||
+      {count: 0, errors: 0, totalMs: 0, maxMs: 0};
+
+    stats.count++;
+    stats.totalMs += duration;
+    stats.maxMs = Math.max(stats.maxMs, duration);
+    if (err) {
+      stats.errors++;
+    }
+  }
+
+  // Called when a sendMessageAsync result was not received in time
+  onRequestTimeout(key) {
+    // Results for a node are tracked with key-address
+    const messageKey = key.split('-')[0];
+    this.requestTimeouts[messageKey] =
+      (this.requestTimeouts[messageKey] || 0) + 1;
+  }
+
+  // Called when a config loop is detected
+  onConfigLoop() {
+    this.configLoops++;
+  }
+
+  // Snapshot of the metrics
+  getStats() {
+    const _this = this;
+    const commands = {};
+
+    Object.keys(this.commands).forEach(function(key) {
+      const stats = _this.commands[key];
+      commands[key] = {
+        count: stats.count,
+        errors: stats.errors,
+        avgMs: Math.round(stats.totalMs / stats.count),
+        maxMs: stats.maxMs,
+      };
+    });
+
+    return {
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      connected: {
+        mqtt: Boolean(this.polyInterface._mqttClientConnected),
+        polyglot: Boolean(this.polyInterface._mqttPolyglotConnected),
+      },
+      nodes: Object.keys(this.polyInterface.getNodes()).length,
+      messagesReceived: Object.assign({}, this.messagesReceived),
+      messagesSent: Object.assign({}, this.messagesSent),
+      queue: this.polyInterface.getQueueStats(),
+      commands: commands,
+      requestTimeouts: Object.assign({}, this.requestTimeouts),
+      mqttReconnects: this.mqttReconnects,
+      configLoops: this.configLoops,
+    };
+  }
+
+  // The metrics in the Prometheus text format
+  toPrometheus() {
+    const stats = this.getStats();
+    const lines = [];
+
+    function metric(name, type, help, samples) {
+      lines.push('# HELP polyinterface_' + name + ' ' + help);
+      lines.push('# TYPE polyinterface_' + name + ' ' + type);
+      samples.forEach(function(sample) {
+        lines.push(metricLine('polyinterface_' + name, sample[0], sample[1]));
+      });
+    }
+
+    function byKey(counters, label) {
+      return Object.keys(counters).map(function(key) {
+        return [{[label]: key}, counters[key]];
+      });
+    }
+
+    function commandSamples(prop) {
+      return Object.keys(stats.commands).map(function(key) {
+        const parts = key.split('/');
+        return [{nodedef: parts[0], cmd: parts.slice(1).join('/')},
+          stats.commands[key][prop]];
+      });
+    }
+
+    metric('uptime_seconds', 'gauge', 'Time since the interface started',
+      [[null, stats.uptime]]);
+    metric('connected', 'gauge', 'MQTT and Polyglot connection status', [
+      [{peer: 'mqtt'}, stats.connected.mqtt ? 1 : 0],
+      [{peer: 'polyglot'}, stats.connected.polyglot ? 1 : 0],
+    ]);
+    metric('nodes', 'gauge', 'Number of nodes', [[null, stats.nodes]]);
+    metric('messages_received_total', 'counter',
+      'Messages received from Polyglot', byKey(stats.messagesReceived, 'type'));
+    metric('messages_sent_total', 'counter', 'Messages sent to Polyglot',
+      byKey(stats.messagesSent, 'type'));
+    metric('queue_depth', 'gauge', 'Messages waiting in the queue',
+      [[null, stats.queue.depth]]);
+    metric('queue_processing', 'gauge', 'Messages being processed',
+      [[null, stats.queue.processing]]);
+    metric('queue_processed_total', 'counter', 'Messages processed',
+      [[null, stats.queue.processed]]);
+    metric('queue_wait_avg_ms', 'gauge', 'Average wait time in the queue',
+      [[null, stats.queue.avgWait]]);
+    metric('queue_wait_max_ms', 'gauge', 'Max wait time in the queue',
+      [[null, stats.queue.maxWait]]);
+    metric('queue_timed_out_total', 'counter', 'Message handlers timed out',
+      [[null, stats.queue.timedOut]]);
+    metric('commands_total', 'counter', 'Commands processed',
+      commandSamples('count'));
+    metric('command_errors_total', 'counter', 'Commands which failed',
+      commandSamples('errors'));
+    metric('command_duration_avg_ms', 'gauge', 'Average command duration',
+      commandSamples('avgMs'));
+    metric('command_duration_max_ms', 'gauge', 'Max command duration',
+      commandSamples('maxMs'));
+    metric('request_timeouts_total', 'counter',
+      'Polyglot results not received in time',
+      byKey(stats.requestTimeouts, 'type'));
+    metric('mqtt_reconnects_total', 'counter',
+      'Successful reconnections to the MQTT broker',
+      [[null, stats.mqttReconnects]]);
+    metric('config_loops_total', 'counter', 'Config loops detected',
+      [[null, stats.configLoops]]);
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Starts the Prometheus endpoint (GET /metrics)
+  listen(port, host = '127.0.0.1') {
+    const _this = this;
+
+    this._server = http.createServer(function(req, res) {
+      if (req.method === 'GET' && req.url === '/metrics') {
+        res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+        res.end(_this.toPrometheus());
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+
+    this._server.on('error', function(err) {
+      logger.errorStack(err, 'Metrics endpoint error:');
+    });
+
+    this._server.listen(port, host, function() {
+      logger.info('Metrics endpoint listening on %s:%d', host, port);
+    });
+  }
+
+  // Stops the Prometheus endpoint
+  close() {
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+    }
+  }
+};
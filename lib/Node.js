@@ -7,6 +7,97 @@ const logger = require('./logger.js');
 // This needs to be changed in the class module that inherits class Node
 const nodeDefId = 'UNDEFINED';
 
+// Parses a command parameter value according to its type
+function parseParamValue(param, raw) {
+  const type = param.type || 'string';
+  let value;
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      value = Number(raw);
+      if (raw === '' || isNaN(value)) {
+        throw new Error('is not a number (' + raw + ')');
+      }
+      if (type === 'integer' && !Number.isInteger(value)) {
+        throw new Error('is not an integer (' + raw + ')');
+      }
+      if ('min' in param && value < param.min) {
+        throw new Error('is below ' + param.min + ' (' + raw + ')');
+      }
+      if ('max' in param && value > param.max) {
+        throw new Error('is above ' + param.max + ' (' + raw + ')');
+      }
+      return value;
+
+    case 'boolean':
+      if (['1', 'true'].includes(('' + raw).toLowerCase())) {
+        return true;
+      }
+      if (['0', 'false'].includes(('' + raw).toLowerCase())) {
+        return false;
+      }
+      throw new Error('is not a boolean (' + raw + ')');
+
+    case 'string':
+      return '' + raw;
+
+    default:
+      throw new Error('has an invalid type ' + type);
+  }
+}
+
+// Parses the parameters of a command message using the params schema.
+// The param without id is the value of the message. Params with an id are
+// taken from the query object sent for commands with multiple parameters.
+// Example: {cmd: 'SETLVL', query: {'OL.uom51': '50', 'RR.uom58': '5'}}
+// Returns the arguments by name. Throws if a parameter is invalid.
+function parseCmdParams(params, cmdMessage) {
+  const args = {};
+
+  params.forEach(function(param) {
+    const name = param.name || param.id || 'value';
+    let raw;
+    let uom;
+
+    if (!param.id) {
+      raw = cmdMessage.value;
+      uom = cmdMessage.uom;
+    } else if (cmdMessage.query) {
+      const key = Object.keys(cmdMessage.query).find(function(k) {
+        return k.split('.')[0] === param.id;
+      });
+
+      if (key) {
+        raw = cmdMessage.query[key];
+        uom = key.split('.uom')[1];
+      }
+    }
+
+    if (raw === undefined || raw === null) {
+      if (!param.optional) {
+        throw new Error('Parameter ' + name + ' is missing');
+      }
+      args[name] = 'default' in param ? param.default : null;
+      return;
+    }
+
+    if (param.uom !== undefined && uom !== undefined && uom !== null &&
+      parseInt(uom, 10) !== parseInt(param.uom, 10)) {
+      throw new Error('Parameter ' + name + ' uom is ' + uom +
+        ', expected ' + param.uom);
+    }
+
+    try {
+      args[name] = parseParamValue(param, raw);
+    } catch (err) {
+      throw new Error('Parameter ' + name + ' ' + err.message);
+    }
+  });
+
+  return args;
+}
+
 // This is the class all nodes have to inherit from
 module.exports = class Node {
   constructor(nodeDefId, polyInterface, primary, address, name) {
@@ -21,6 +112,14 @@ module.exports = class Node {
     this.address = address; // This node address
     this.name = name; // This node name
 
+    // Logger for this node, with the NS: label. Entries are tagged with the
+    // node address and nodeDefId.
+    // Example: this.logger.info('Connected to %s', host);
+    this.logger = logger.ns.child({address: address, nodeDefId: nodeDefId});
+
+    // Same, for the entries logged by polyinterface
+    this._logger = logger.child({address: address, nodeDefId: nodeDefId});
+
     // Set when we receive the polyglot config
     this.timeAdded = new Date(); // Date at which the node was created
     this.enabled = false; // Node enabled?
@@ -31,8 +130,30 @@ module.exports = class Node {
     // Example: {
     //    DON: function(message) { ... },
     //    DOF: function(message) { ... } }
+    // Commands can also be declared with their parameters. The handler then
+    // receives the parsed arguments by name, and the message.
+    // Example: {
+    //    SETLVL: {
+    //      handler: function(args, message) { ... args.level ... },
+    //      params: [
+    //        {name: 'level', type: 'number', uom: 51, min: 0, max: 100},
+    //        {name: 'rate', id: 'RR', type: 'integer', uom: 58,
+    //          optional: true, default: 0},
+    //      ],
+    //    } }
+    // Param types are number, integer, boolean and string.
     this.commands = {};
 
+    // Used when the pollScheduler option of the interface is set.
+    // Intervals in seconds to poll this node on its own timer, instead of
+    // when Polyglot sends shortPoll/longPoll. null to follow Polyglot.
+    this.shortPollInterval = null;
+    this.longPollInterval = null;
+
+    // Max random delay in ms before polling this node. null to use the
+    // jitter of the pollScheduler option.
+    this.pollJitter = null;
+
     // This node's drivers.
     // Must be overridden by the children class.
     // Driver values are set when we receive a polyglot config message
@@ -40,6 +161,31 @@ module.exports = class Node {
     this.drivers = {};
   }
 
+  // Hooks called by the interface when processing the config.
+  // They can be overridden, and can be async.
+
+  // Called when the node instance is created from the config, on startup or
+  // once the node has been added. Use this to open device connections.
+  onAdded() {}
+
+  // Called when the node is no longer in the config. Use this to close
+  // device connections.
+  onRemoved() {}
+
+  // Called for every config received, with the config.
+  onConfig(config) {}
+
+  // Called when the NodeServer is shutting down (stop, delete, or the process
+  // is terminated), with the reason. Use this to close device connections.
+  onStop(reason) {}
+
+  // Called on short poll and long poll, if the pollScheduler option of the
+  // interface is set. Disabled nodes are not polled. signal is an
+  // AbortSignal, aborted if the poll times out.
+  shortPoll(signal) {}
+
+  longPoll(signal) {}
+
   getDriver(driver) {
     return this.drivers[driver];
   }
@@ -54,9 +200,9 @@ module.exports = class Node {
       case 'boolean':
         const uom = this.drivers[driver].uom;
         if (uom !== 2) {
-          logger.warn(
+          this._logger.warn(
             'Value for driver %s is a boolean, but the uom is %s (Should be 2)',
-            driver, uom);
+            driver, uom, {driver: driver});
         }
         return value ? '1' : '0';
 
@@ -72,26 +218,35 @@ module.exports = class Node {
       'value' in this.drivers[driver] &&
       'uom' in this.drivers[driver]) {
 
+      let changed = false;
+
       if (uom && this.drivers[driver].uom !== uom) {
         this.drivers[driver].uom = uom;
         this.drivers[driver].changed = true;
+        changed = true;
       }
 
       value = this.convertValue(driver, value);
 
       if (this.drivers[driver].value !== value) {
-        logger.info('Setting node %s driver %s: %s',
-          this.address, driver, value);
+        this._logger.info('Setting driver %s: %s', driver, value,
+          {driver: driver});
 
         this.drivers[driver].value = value;
         this.drivers[driver].changed = true;
+        changed = true;
+      }
+
+      // Lets the interface save the value, if persistDrivers is set
+      if (changed && this.polyInterface) {
+        this.polyInterface._onDriverChanged(this, driver);
       }
 
       if (report) {
         this.reportDriver(driver, forceReport);
       }
     } else {
-      logger.error('Driver %s is not valid for node %s', driver, this.address);
+      this._logger.error('Driver %s is not valid', driver, {driver: driver});
     }
   }
 
@@ -100,20 +255,16 @@ module.exports = class Node {
     // Is driver valid?
     if (driver in this.drivers) {
       if (this.drivers[driver].changed || forceReport) {
-        const message = {
-          status: {
-            address: this.address,
-            driver: driver,
-            value: this.drivers[driver].value,
-            uom: this.drivers[driver].uom,
-          },
-        };
-
-        this.polyInterface.sendMessage(message);
+        this.polyInterface.reportStatus({
+          address: this.address,
+          driver: driver,
+          value: this.drivers[driver].value,
+          uom: this.drivers[driver].uom,
+        });
         this.drivers[driver].changed = false;
       }
     } else {
-      logger.error('Driver %s is not valid for node %s', driver, this.address);
+      this._logger.error('Driver %s is not valid', driver, {driver: driver});
     }
   }
 
@@ -141,11 +292,16 @@ module.exports = class Node {
     this.polyInterface.sendMessage(message);
   }
 
-  query() {
+  // Called when we get a query request. Override this to fetch live data.
+  // message is the query message, or the command message when used as a
+  // command (QUERY: this.query). signal is an AbortSignal, aborted if the
+  // query times out.
+  query(message, signal) {
     this.reportDrivers();
   }
 
-  status() {
+  // Called when we get a status request. signal is an AbortSignal.
+  status(message, signal) {
     this.reportDrivers();
   }
 
@@ -153,18 +309,54 @@ module.exports = class Node {
     this.polyInterface.delNode(this);
   }
 
+  // Same as delNode, but resolves once the node is removed
+  delNodeAsync(timeout) {
+    return this.polyInterface.delNodeAsync(this, timeout);
+  }
+
   // Runs one of the commands in this.commands based on cmdMessage.cmd
   // Example messageContent:
   // { address: 'node003', cmd: 'DON', value: '6', uom: '51' }
-  async runCmd(cmdMessage) {
-    const nodeCommandFunction = this.commands[cmdMessage.cmd];
+  // Unknown commands are passed to this.onUnknownCommand(cmdMessage), if
+  // defined. Commands with invalid parameters are rejected and logged.
+  // signal is an AbortSignal, aborted if the command times out. It is passed
+  // to the command function as the last argument.
+  async runCmd(cmdMessage, signal) {
+    const command = this.commands[cmdMessage.cmd];
+
+    // Commands declared with their params need a handler function
+    if (command && typeof command !== 'function' &&
+      typeof command.handler !== 'function') {
+      this._logger.error('nodeDefId %s command %s has no handler function',
+        this.id, cmdMessage.cmd, {cmd: cmdMessage.cmd});
+      return;
+    }
+
+    if (!command) {
+      if (typeof this.onUnknownCommand === 'function') {
+        return this._asyncWrapper(this.onUnknownCommand(cmdMessage, signal));
+      }
+
+      this._logger.error('nodeDefId %s does not have a command: %s',
+        this.id, cmdMessage.cmd, {cmd: cmdMessage.cmd});
+      return;
+    }
+
+    if (typeof command === 'function') {
+      return this._asyncWrapper(command.call(this, cmdMessage, signal));
+    }
 
-    if (!nodeCommandFunction) {
-      logger.error('Node %s using nodeDefId %s does not have a command: %s',
-        this.address, this.id, cmdMessage.cmd);
+    let args;
+    try {
+      args = parseCmdParams(command.params || [], cmdMessage);
+    } catch (err) {
+      this._logger.error('Command %s rejected: %s',
+        cmdMessage.cmd, err.message, {cmd: cmdMessage.cmd});
+      return;
     }
 
-    return this._asyncWrapper(nodeCommandFunction.call(this, cmdMessage));
+    return this._asyncWrapper(
+      command.handler.call(this, args, cmdMessage, signal));
   }
 
   // Makes sure result is a promise
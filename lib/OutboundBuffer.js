@@ -0,0 +1,73 @@
+'use strict';
+
+const logger = require('./logger.js');
+
+// Holds the messages sent while Polyglot is not connected (FIFO).
+// Status messages are coalesced per address/driver: Only the latest value is
+// kept. When full, the oldest messages are dropped.
+module.exports = class OutboundBuffer {
+  constructor(maxSize = 1000) {
+    this.maxSize = maxSize;
+    this.pool = [];
+    this.dropped = 0; // Number of messages dropped because the buffer was full
+  }
+
+  get length() {
+    return this.pool.length;
+  }
+
+  // Adds a message to the buffer
+  add(message) {
+    const _this = this;
+    const keys = Object.keys(message);
+
+    if (keys.length === 1 && keys[0] === 'status') {
+      // status can be a single status or an array of statuses
+      [].concat(message.status).forEach(function(status) {
+        _this._addStatus(status);
+      });
+    } else {
+      this._push({message: message});
+    }
+  }
+
+  // Replaces the existing status for the same address/driver, if any
+  _addStatus(status) {
+    const statusKey = status.address + '/' + status.driver;
+    const index = this.pool.findIndex(function(entry) {
+      return entry.statusKey === statusKey;
+    });
+
+    if (index >= 0) {
+      this.pool.splice(index, 1);
+    }
+
+    this._push({statusKey: statusKey, message: {status: status}});
+  }
+
+  _push(entry) {
+    this.pool.push(entry);
+
+    if (this.pool.length > this.maxSize) {
+      this.pool.shift();
+      this.dropped++;
+      logger.warn('Outbound buffer is full (%d messages). ' +
+        'Oldest message dropped (%d dropped so far)',
+        this.maxSize, this.dropped);
+    }
+  }
+
+  // Empties the buffer, sending all the messages in order using send()
+  flush(send) {
+    const entries = this.pool;
+    this.pool = [];
+
+    if (entries.length) {
+      logger.info('Sending %d buffered messages', entries.length);
+    }
+
+    entries.forEach(function(entry) {
+      send(entry.message);
+    });
+  }
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+// Properties of a schema entry that are sent to Polyglot as typedparams
+const typedParamsProps = [
+  'name', 'title', 'defaultValue', 'type', 'desc', 'isRequired', 'isList',
+  'params',
+];
+
+const trueValues = ['true', '1', 'yes', 'on'];
+const falseValues = ['false', '0', 'no', 'off'];
+
+// Custom parameters schema. Entries are the typedparams used by the UI,
+// with these additional optional properties:
+//   enum: List of allowed values
+//   min, max: Range for NUMBER params
+//   secret: true if the value must not be shown in logs or notices
+// Example: [
+//   {name: 'host', title: 'Host', isRequired: true},
+//   {name: 'port', title: 'Port', type: 'NUMBER', defaultValue: '443',
+//     min: 1, max: 65535},
+//   {name: 'units', title: 'Units', defaultValue: 'metric',
+//     enum: ['metric', 'imperial']},
+//   {name: 'password', title: 'Password', secret: true},
+// ]
+module.exports = class ParamsSchema {
+  constructor(schema) {
+    if (!Array.isArray(schema)) {
+      throw new Error('Params schema is not an array');
+    }
+
+    this.schema = schema;
+  }
+
+  // The typedparams message content, for the UI
+  typedParams() {
+    return this.schema.map(function(entry) {
+      const typedParam = {};
+      typedParamsProps.forEach(function(prop) {
+        if (prop in entry) {
+          typedParam[prop] = entry[prop];
+        }
+      });
+      return typedParam;
+    });
+  }
+
+  // Returns the default values of the params missing from customParams
+  missingDefaults(customParams) {
+    const defaults = {};
+
+    this.schema.forEach(function(entry) {
+      if (!(entry.name in customParams) && 'defaultValue' in entry) {
+        defaults[entry.name] = '' + entry.defaultValue;
+      }
+    });
+
+    return defaults;
+  }
+
+  // Parses the customParams.
+  // Returns {values: {name: typedValue}, errors: {name: 'error message'}}
+  parse(customParams) {
+    const _this = this;
+    const values = {};
+    const errors = {};
+
+    this.schema.forEach(function(entry) {
+      let raw = customParams[entry.name];
+
+      if (raw === undefined || raw === null || raw === '') {
+        if ('defaultValue' in entry) {
+          raw = '' + entry.defaultValue;
+        } else if (entry.isRequired) {
+          errors[entry.name] = 'Parameter ' + (entry.title || entry.name) +
+            ' is required';
+          return;
+        } else {
+          values[entry.name] = entry.isList ? [] : null;
+          return;
+        }
+      }
+
+      try {
+        values[entry.name] = entry.isList ?
+          ('' + raw).split(',')
+          .map(function(item) {
+            return item.trim();
+          })
+          .filter(function(item) {
+            return item !== '';
+          })
+          .map(function(item) {
+            return _this._parseValue(entry, item);
+          }) :
+          _this._parseValue(entry, raw);
+      } catch (err) {
+        errors[entry.name] = 'Parameter ' + (entry.title || entry.name) +
+          ' ' + err.message;
+      }
+    });
+
+    return {values: values, errors: errors};
+  }
+
+  // Parses and validates a single value. Throws if invalid.
+  _parseValue(entry, raw) {
+    const shown = entry.secret ? '' : ' (' + raw + ')';
+    let value;
+
+    switch ((entry.type || 'STRING').toUpperCase()) {
+      case 'NUMBER':
+        value = typeof raw === 'number' ? raw : Number(('' + raw).trim());
+        if (('' + raw).trim() === '' || isNaN(value)) {
+          throw new Error('is not a number' + shown);
+        }
+        if ('min' in entry && value < entry.min) {
+          throw new Error('must be at least ' + entry.min + shown);
+        }
+        if ('max' in entry && value > entry.max) {
+          throw new Error('must be at most ' + entry.max + shown);
+        }
+        break;
+
+      case 'BOOLEAN':
+        value = ('' + raw).trim().toLowerCase();
+        if (trueValues.includes(value)) {
+          value = true;
+        } else if (falseValues.includes(value)) {
+          value = false;
+        } else {
+          throw new Error('is not a boolean' + shown);
+        }
+        break;
+
+      default:
+        value = raw;
+    }
+
+    if (entry.enum && !entry.enum.includes(value)) {
+      throw new Error('must be one of ' + entry.enum.join(', ') + shown);
+    }
+
+    return value;
+  }
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const logger = require('./logger.js');
+
+// Calls the shortPoll() and longPoll() methods of each node.
+// By default, nodes are polled when Polyglot sends shortPoll/longPoll.
+// Nodes with their own shortPollInterval or longPollInterval (seconds) are
+// polled on their own timer instead.
+// A node is not polled again while its previous poll is still running, and
+// disabled nodes are skipped. Polls are delayed randomly by up to jitter ms
+// (node.pollJitter, or options.jitter) to spread out API calls.
+// Polls of a node go through the message queue, so they do not overlap with
+// the commands of the node, and time out like the other handlers.
+module.exports = class PollScheduler {
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+    this.jitter = options.jitter || 0;
+
+    this._running = new Set(); // address/type of the polls running
+    this._timers = {}; // address/type => interval timer
+  }
+
+  // Called when Polyglot sends shortPoll or longPoll
+  poll(longPoll) {
+    const _this = this;
+    const nodes = this.polyInterface.getNodes();
+    const intervalProp = longPoll ? 'longPollInterval' : 'shortPollInterval';
+
+    Object.keys(nodes).forEach(function(address) {
+      // Nodes with their own interval are polled by their timer
+      if (!nodes[address][intervalProp]) {
+        _this._pollNode(nodes[address], longPoll);
+      }
+    });
+  }
+
+  // Starts the timers of the node, if it has its own intervals
+  addNode(node) {
+    const _this = this;
+
+    [false, true].forEach(function(longPoll) {
+      const interval = longPoll ?
+        node.longPollInterval : node.shortPollInterval;
+      const key = _this._key(node.address, longPoll);
+
+      if (interval && !_this._timers[key]) {
+        _this._timers[key] = setInterval(function() {
+          _this._pollNode(node, longPoll);
+        }, interval * 1000);
+      }
+    });
+  }
+
+  // Stops the timers of the node
+  removeNode(node) {
+    const _this = this;
+
+    [false, true].forEach(function(longPoll) {
+      const key = _this._key(node.address, longPoll);
+
+      if (_this._timers[key]) {
+        clearInterval(_this._timers[key]);
+        delete _this._timers[key];
+      }
+      _this._running.delete(key);
+    });
+  }
+
+  // Stops all the timers
+  stop() {
+    const _this = this;
+
+    Object.keys(this._timers).forEach(function(key) {
+      clearInterval(_this._timers[key]);
+    });
+    this._timers = {};
+  }
+
+  _key(address, longPoll) {
+    return address + '/' + (longPoll ? 'longPoll' : 'shortPoll');
+  }
+
+  // Queues the poll of a node, after the jitter delay
+  async _pollNode(node, longPoll) {
+    const key = this._key(node.address, longPoll);
+    const method = longPoll ? 'longPoll' : 'shortPoll';
+    const jitter = node.pollJitter !== null && node.pollJitter !== undefined ?
+      node.pollJitter : this.jitter;
+
+    if (!node.enabled) {
+      return;
+    }
+
+    if (this._running.has(key)) {
+      logger.warn('Node %s %s skipped: Previous poll still running',
+        node.address, method);
+      return;
+    }
+
+    this._running.add(key);
+
+    if (jitter) {
+      await new Promise(function(resolve) {
+        setTimeout(resolve, Math.floor(Math.random() * jitter));
+      });
+    }
+
+    // The node may have been removed during the jitter delay
+    if (this.polyInterface._shuttingDown ||
+      this.polyInterface._nodes[node.address] !== node) {
+      this._running.delete(key);
+      return;
+    }
+
+    this.polyInterface._queue.add({
+      messageKey: method,
+      messageContent: {address: node.address},
+    });
+  }
+
+  // Called by the message queue to run the poll of the node at address.
+  // signal is an AbortSignal, aborted if the poll times out. Nothing is run
+  // if the node was removed since the poll was queued.
+  async run(address, longPoll, signal) {
+    const key = this._key(address, longPoll);
+    const method = longPoll ? 'longPoll' : 'shortPoll';
+    const node = this.polyInterface._nodes[address];
+
+    if (!node) {
+      this._running.delete(key);
+      return;
+    }
+
+    try {
+      await node[method](signal);
+    } catch (err) {
+      logger.errorStack(err, 'Error on %s of node %s:', method, node.address);
+    } finally {
+      this._running.delete(key);
+    }
+  }
+};
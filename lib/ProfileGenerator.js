@@ -0,0 +1,330 @@
+// Generates the ISY profile files (nodedef, editor and nls) from the Node
+// classes declared to the interface.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const logger = require('./logger.js');
+const zip = require('./zip.js');
+
+const mkdir = util.promisify(fs.mkdir);
+const writeFile = util.promisify(fs.writeFile);
+
+// Files generated, relative to the profile directory
+const nodedefFile = 'nodedef/nodedefs.xml';
+const editorFile = 'editor/editors.xml';
+const nlsFile = 'nls/en_us.txt';
+
+function xmlEscape(str) {
+  return ('' + str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+}
+
+// Returns the xml attributes string for the attributes that are set
+function xmlAttrs(attrs) {
+  return Object.keys(attrs)
+  .filter(function(key) {
+    return attrs[key] !== undefined && attrs[key] !== null;
+  })
+  .map(function(key) {
+    return ' ' + key + '="' + xmlEscape(attrs[key]) + '"';
+  })
+  .join('');
+}
+
+// Editor range used for a uom when min and max are not given
+const uomRanges = {
+  2: {min: 0, max: 1}, // Boolean
+  51: {min: 0, max: 100}, // Percent
+  78: {subset: '0,100'}, // Off/On
+  100: {min: 0, max: 255}, // Level (0-255)
+};
+
+// names can be an array or an object ({0: 'Off', 1: 'On'})
+function namesToEntries(names) {
+  return Object.keys(names).map(function(index) {
+    return {index: parseInt(index, 10), name: names[index]};
+  });
+}
+
+// Builds an ISY subset string from a list of indexes. Example: '0-3,5'
+function subsetFromIndexes(indexes) {
+  const ranges = [];
+
+  indexes.slice().sort(function(a, b) {
+    return a - b;
+  })
+  .forEach(function(i) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === i - 1) {
+      last[1] = i;
+    } else {
+      ranges.push([i, i]);
+    }
+  });
+
+  return ranges.map(function(r) {
+    return r[0] === r[1] ? '' + r[0] : r[0] + '-' + r[1];
+  }).join(',');
+}
+
+// Profile generator.
+// Metadata is taken from the static profile property of the node classes,
+// and can be overridden using options.metadata[nodeDefId].
+// Example:
+//   MyNode.profile = {
+//     name: 'My Dimmer',
+//     icon: 'LightDimmer',
+//     sends: ['DON', 'DOF'],
+//     drivers: {
+//       ST: {name: 'Status', min: 0, max: 100},
+//       GV1: {name: 'Mode', names: ['Off', 'Heat', 'Cool']},
+//     },
+//     commands: {
+//       DON: {name: 'On', params: [{id: '', uom: 51, min: 0, max: 100}]},
+//       DOF: {name: 'Off'},
+//     },
+//   };
+module.exports = class ProfileGenerator {
+  // options.metadata: Metadata per nodeDefId
+  // options.polyInterface: Passed to the node classes when instantiated
+  constructor(nodeClasses, options = {}) {
+    this.nodeClasses = nodeClasses;
+    this.metadata = options.metadata || {};
+    this.polyInterface = options.polyInterface || null;
+  }
+
+  // Node classes only declare commands & drivers in their constructor
+  _describe(NodeClass) {
+    const nodeDefId = NodeClass.nodeDefId;
+    const node = new NodeClass(this.polyInterface,
+      'profile', 'profile', nodeDefId);
+    const metadata = Object.assign({}, NodeClass.profile,
+      this.metadata[nodeDefId]);
+
+    return {
+      nodeDefId: nodeDefId,
+      nls: metadata.nls || nodeDefId,
+      name: metadata.name || nodeDefId,
+      icon: metadata.icon,
+      drivers: node.drivers,
+      commands: node.commands,
+      sends: metadata.sends || [],
+      driversMeta: metadata.drivers || {},
+      commandsMeta: metadata.commands || {},
+    };
+  }
+
+  // Builds the editor for a driver or command parameter.
+  // Returns null if meta refers to an existing editor. Editors without a
+  // range are added to errors.
+  _editor(id, uom, meta, errors) {
+    if (meta.editor) {
+      return null;
+    }
+
+    const editor = {id: id, uom: uom, nlsEntries: []};
+
+    if (meta.names) {
+      const entries = namesToEntries(meta.names);
+      editor.subset = subsetFromIndexes(entries.map(function(e) {
+        return e.index;
+      }));
+      editor.nls = id;
+      editor.nlsEntries = entries.map(function(e) {
+        return id + '-' + e.index + ' = ' + e.name;
+      });
+    } else {
+      ['min', 'max', 'prec', 'step', 'subset'].forEach(function(attr) {
+        if (attr in meta) {
+          editor[attr] = meta[attr];
+        }
+      });
+
+      // The ISY needs bounds or a subset to build the editor
+      if (!('subset' in editor) && !('min' in editor && 'max' in editor)) {
+        const range = uomRanges[uom];
+
+        if (!range) {
+          errors.push('Editor ' + id + ' (uom ' + uom + ') needs min and ' +
+            'max, a subset, names or an editor');
+          return editor;
+        }
+
+        Object.keys(range).forEach(function(attr) {
+          if (!(attr in editor)) {
+            editor[attr] = range[attr];
+          }
+        });
+      }
+    }
+
+    return editor;
+  }
+
+  _editorXml(editor) {
+    const range = xmlAttrs({
+      uom: editor.uom,
+      min: editor.min,
+      max: editor.max,
+      prec: editor.prec,
+      step: editor.step,
+      subset: editor.subset,
+      nls: editor.nls,
+    });
+
+    return '  <editor id="' + xmlEscape(editor.id) + '">\n' +
+      '    <range' + range + ' />\n' +
+      '  </editor>\n';
+  }
+
+  // Generates the content of the profile files.
+  // Returns {nodedefs: 'xml', editors: 'xml', nls: 'text'}
+  // Throws if an editor has no range, which the ISY requires.
+  generate() {
+    const _this = this;
+    const nodeDefs = [];
+    const editors = [];
+    const nls = [];
+    const errors = [];
+
+    this.nodeClasses.forEach(function(NodeClass) {
+      const d = _this._describe(NodeClass);
+      const sts = [];
+      const accepts = [];
+
+      nls.push('# ' + d.nodeDefId);
+      nls.push('ND-' + d.nls + '-NAME = ' + d.name);
+      if (d.icon) {
+        nls.push('ND-' + d.nls + '-ICON = ' + d.icon);
+      }
+
+      Object.keys(d.drivers).forEach(function(driver) {
+        const meta = d.driversMeta[driver] || {};
+        const editor = _this._editor(d.nodeDefId + '_' + driver,
+          d.drivers[driver].uom, meta, errors);
+
+        if (editor) {
+          editors.push(editor);
+        }
+        sts.push('      <st id="' + xmlEscape(driver) + '" editor="' +
+          xmlEscape(editor ? editor.id : meta.editor) + '" />');
+        nls.push('ST-' + d.nls + '-' + driver + '-NAME = ' +
+          (meta.name || driver));
+      });
+
+      Object.keys(d.commands).forEach(function(cmd) {
+        const meta = d.commandsMeta[cmd] || {};
+        const command = d.commands[cmd];
+
+        // Params declared with the command are used if no metadata is given
+        const commandParams = typeof command === 'object' && command.params ?
+          command.params : [];
+        const params = (meta.params || commandParams).map(function(p) {
+          const pid = p.id || '';
+          const editor = _this._editor(
+            d.nodeDefId + '_' + cmd + (pid ? '_' + pid : ''), p.uom, p,
+            errors);
+
+          if (editor) {
+            editors.push(editor);
+          }
+          if (pid && p.name) {
+            nls.push('CMDP-' + d.nls + '-' + cmd + '-' + pid + '-NAME = ' +
+              p.name);
+          }
+
+          return '          <p' + xmlAttrs({
+            id: pid,
+            editor: editor ? editor.id : p.editor,
+            init: p.init,
+            optional: p.optional ? 'T' : undefined,
+          }) + ' />';
+        });
+
+        accepts.push(params.length ?
+          '        <cmd id="' + xmlEscape(cmd) + '">\n' +
+            params.join('\n') + '\n        </cmd>' :
+          '        <cmd id="' + xmlEscape(cmd) + '" />');
+        nls.push('CMD-' + d.nls + '-' + cmd + '-NAME = ' + (meta.name || cmd));
+      });
+
+      const sends = d.sends.map(function(cmd) {
+        return '        <cmd id="' + xmlEscape(cmd) + '" />';
+      });
+
+      nodeDefs.push(
+        '  <nodeDef id="' + xmlEscape(d.nodeDefId) + '" nls="' +
+          xmlEscape(d.nls) + '">\n' +
+        '    <editors />\n' +
+        '    <sts>\n' + sts.map(function(s) {
+          return s + '\n';
+        }).join('') +
+        '    </sts>\n' +
+        '    <cmds>\n' +
+        '      <sends>\n' + sends.map(function(s) {
+          return s + '\n';
+        }).join('') +
+        '      </sends>\n' +
+        '      <accepts>\n' + accepts.map(function(a) {
+          return a + '\n';
+        }).join('') +
+        '      </accepts>\n' +
+        '    </cmds>\n' +
+        '  </nodeDef>\n');
+
+      nls.push('');
+    });
+
+    if (errors.length) {
+      throw new Error('Profile not generated: ' + errors.join('; '));
+    }
+
+    editors.forEach(function(editor) {
+      editor.nlsEntries.forEach(function(entry) {
+        nls.push(entry);
+      });
+    });
+
+    return {
+      nodedefs: '<nodeDefs>\n' + nodeDefs.join('') + '</nodeDefs>\n',
+      editors: '<editors>\n' + editors.map(function(editor) {
+        return _this._editorXml(editor);
+      }).join('') + '</editors>\n',
+      nls: nls.join('\n') + '\n',
+    };
+  }
+
+  // Writes the profile files to dir, and the profile package to zipFile.
+  // Returns the list of files written.
+  async write(dir = 'profile', zipFile = 'profile.zip') {
+    const profile = this.generate();
+    const files = [
+      {name: nodedefFile, data: profile.nodedefs},
+      {name: editorFile, data: profile.editors},
+      {name: nlsFile, data: profile.nls},
+    ];
+
+    for (const file of files) {
+      const fullName = path.join(dir, file.name);
+      await mkdir(path.dirname(fullName), {recursive: true});
+      await writeFile(fullName, file.data);
+    }
+
+    if (zipFile) {
+      await writeFile(zipFile, zip(files));
+    }
+
+    logger.info('Profile generated in %s for %d node classes',
+      dir, this.nodeClasses.length);
+
+    return files.map(function(file) {
+      return path.join(dir, file.name);
+    }).concat(zipFile ? [zipFile] : []);
+  }
+};
@@ -0,0 +1,159 @@
+// Validates the node classes declared to the interface against the profile
+// files installed (nodedef and editor files).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Parses the attributes of an xml tag. Example: ' id="ST" editor="X"'
+function parseAttrs(str) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+
+  while ((match = re.exec(str))) {
+    attrs[match[1]] = match[2];
+  }
+  return attrs;
+}
+
+// Returns the attributes of all the tags found. Example: allTags(xml, 'st')
+function allTags(xml, tag) {
+  const re = new RegExp('<' + tag + '\\b([^>]*)>', 'g');
+  const result = [];
+  let match;
+
+  while ((match = re.exec(xml))) {
+    result.push(parseAttrs(match[1]));
+  }
+  return result;
+}
+
+// Returns the content of the xml files in a profile subdirectory
+function readXmlFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+  .filter(function(file) {
+    return file.toLowerCase().endsWith('.xml');
+  })
+  .map(function(file) {
+    // Comments are removed, they may contain tags
+    return fs.readFileSync(path.join(dir, file), 'utf8')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  });
+}
+
+// Parses the profile directory.
+// Returns {
+//   nodeDefs: {nodeDefId: {sts: {driver: editorId}, accepts: [cmd, ...]}},
+//   editors: {editorId: uom},
+// }
+function parseProfile(dir) {
+  const nodeDefs = {};
+  const editors = {};
+
+  readXmlFiles(path.join(dir, 'nodedef')).forEach(function(xml) {
+    const re = /<nodeDef\b([^>]*)>([\s\S]*?)<\/nodeDef>/g;
+    let match;
+
+    while ((match = re.exec(xml))) {
+      const id = parseAttrs(match[1]).id;
+      const body = match[2];
+      const acceptsMatch = /<accepts>([\s\S]*?)<\/accepts>/.exec(body);
+      const sts = {};
+
+      allTags(body, 'st').forEach(function(st) {
+        sts[st.id] = st.editor;
+      });
+
+      nodeDefs[id] = {
+        sts: sts,
+        accepts: acceptsMatch ?
+          allTags(acceptsMatch[1], 'cmd').map(function(cmd) {
+            return cmd.id;
+          }) : [],
+      };
+    }
+  });
+
+  readXmlFiles(path.join(dir, 'editor')).forEach(function(xml) {
+    const re = /<editor\b([^>]*)>([\s\S]*?)<\/editor>/g;
+    let match;
+
+    while ((match = re.exec(xml))) {
+      const range = allTags(match[2], 'range')[0];
+      editors[parseAttrs(match[1]).id] = range ? range.uom : undefined;
+    }
+  });
+
+  return {nodeDefs: nodeDefs, editors: editors};
+}
+
+// Validates the node classes against the profile in dir.
+// Returns a list of errors (strings). Empty if everything matches.
+function validateProfile(nodeClasses, dir, polyInterface = null) {
+  const profile = parseProfile(dir);
+  const errors = [];
+
+  nodeClasses.forEach(function(NodeClass) {
+    const nodeDefId = NodeClass.nodeDefId;
+    const nodeDef = profile.nodeDefs[nodeDefId];
+
+    if (!nodeDef) {
+      errors.push('nodeDef ' + nodeDefId + ' not found in profile');
+      return;
+    }
+
+    // Node classes only declare commands & drivers in their constructor
+    const node = new NodeClass(polyInterface,
+      'profile', 'profile', nodeDefId);
+
+    Object.keys(node.drivers).forEach(function(driver) {
+      if (!(driver in nodeDef.sts)) {
+        errors.push(nodeDefId + ': driver ' + driver +
+          ' is not in the nodeDef sts');
+      } else {
+        const editorUom = profile.editors[nodeDef.sts[driver]];
+        const uom = node.drivers[driver].uom;
+
+        if (editorUom !== undefined && uom !== undefined &&
+          parseInt(editorUom, 10) !== parseInt(uom, 10)) {
+          errors.push(nodeDefId + ': driver ' + driver + ' uom is ' + uom +
+            ', but editor ' + nodeDef.sts[driver] + ' uom is ' + editorUom);
+        }
+      }
+    });
+
+    Object.keys(nodeDef.sts).forEach(function(driver) {
+      if (!(driver in node.drivers)) {
+        errors.push(nodeDefId + ': nodeDef driver ' + driver +
+          ' is missing from the node drivers');
+      }
+    });
+
+    nodeDef.accepts.forEach(function(cmd) {
+      if (!(cmd in node.commands)) {
+        errors.push(nodeDefId + ': nodeDef accepts command ' + cmd +
+          ', but the node has no handler for it');
+      }
+    });
+
+    Object.keys(node.commands).forEach(function(cmd) {
+      if (!nodeDef.accepts.includes(cmd)) {
+        errors.push(nodeDefId + ': command ' + cmd +
+          ' is not in the nodeDef accepts');
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  parseProfile: parseProfile,
+  validateProfile: validateProfile,
+};
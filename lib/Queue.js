@@ -1,44 +1,262 @@
 'use strict';
 
+const events = require('events');
 const logger = require('./logger.js');
 
+// Creates an AbortController. Falls back to a minimal implementation on
+// node.js versions without AbortController.
+function createAbortController() {
+  if (typeof global.AbortController === 'function') {
+    return new global.AbortController();
+  }
+
+  const emitter = new events.EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      emitter.on(type, listener);
+    },
+    removeEventListener: function(type, listener) {
+      emitter.removeListener(type, listener);
+    },
+  };
+
+  return {
+    signal: signal,
+    abort: function() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        emitter.emit('abort', {type: 'abort'});
+      }
+    },
+  };
+}
+
 // Generic promise queue (FIFO)
+// Items with the same key are processed in order, one at a time. Items with
+// different keys are processed in parallel, up to options.concurrency.
+// Barrier items wait for all the items before them to finish, and all the
+// items after them wait for the barrier to finish.
+// options:
+//   concurrency: Max items processed at the same time (Default 1)
+//   keyOf(item): Returns the key of an item (Default: Same key for all)
+//   isBarrier(item): Returns true if the item is a barrier
+//   timeoutOf(item): Processing timeout of an item in ms. 0 for none.
+//   onTimeout(item, timeout): Called when an item timed out
+//   onDone(item, duration, err): Called once an item is processed, with the
+//     processing time in ms, and the error if it failed
+// The processor is called with the item and an AbortSignal, which is aborted
+// if the item times out. The queue then moves on to the next item.
 module.exports = class dataq {
-  constructor(cb, callerContext, name) {
+  constructor(cb, callerContext, name, options = {}) {
     this.qname = name;
     this.pool = [];
     this.Qprocessing = 0;
     this.dataProcessor = cb;
     this.context = callerContext;
+    this.concurrency = options.concurrency || 1;
+    this.keyOf = options.keyOf || function() {
+      return null;
+    };
+    this.isBarrier = options.isBarrier || function() {
+      return false;
+    };
+    this.timeoutOf = options.timeoutOf || function() {
+      return 0;
+    };
+    this.onTimeout = options.onTimeout || function(item, timeout) {
+      logger.error('Queue %s item timed out after %d ms', name, timeout);
+    };
+    this.onDone = options.onDone || function() {};
+
+    // Keys of the items being processed
+    this._activeKeys = new Set();
+
+    // true while a barrier item is being processed
+    this._barrierActive = false;
+
+    // Wait time statistics (time in queue before processing starts)
+    this._processed = 0;
+    this._totalWait = 0;
+    this._maxWait = 0;
+    this._timedOut = 0;
+
+    // Resolve functions of the drain() calls waiting for the queue to be idle
+    this._idleWaiters = [];
   }
 
   // this adds one item to the queue, and start processing it.
   add(item) {
-    this.pool.push(item);
+    this.pool.push({
+      item: item,
+      key: this.keyOf(item),
+      barrier: this.isBarrier(item),
+      queuedAt: Date.now(),
+    });
     this.process();
   }
 
-  // This processes one item at a time until queue is empty.
+  // true if there is nothing queued or being processed
+  isIdle() {
+    return !this.Qprocessing && !this.pool.length;
+  }
+
+  // Resolves true once the queue is idle, or false after timeout ms
+  drain(timeout = 0) {
+    const self = this;
+
+    if (this.isIdle()) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(function(resolve) {
+      let timer = null;
+
+      function done(idle) {
+        clearTimeout(timer);
+        self._idleWaiters = self._idleWaiters.filter(function(waiter) {
+          return waiter !== done;
+        });
+        resolve(idle);
+      }
+
+      if (timeout) {
+        timer = setTimeout(function() {
+          done(false);
+        }, timeout);
+      }
+
+      self._idleWaiters.push(done);
+    });
+  }
+
+  // This starts processing all the items which are allowed to start.
   process() {
+    // Keys with an item waiting. Later items with the same key must wait.
+    const waitingKeys = new Set();
+    let i = 0;
+
+    while (i < this.pool.length && this.Qprocessing < this.concurrency &&
+      !this._barrierActive) {
+      const entry = this.pool[i];
+
+      if (entry.barrier) {
+        if (i === 0 && !this.Qprocessing) {
+          this.pool.shift();
+          this._run(entry);
+        }
+
+        // Nothing after a barrier can start before it is done
+        break;
+      }
+
+      if (this._activeKeys.has(entry.key) || waitingKeys.has(entry.key)) {
+        waitingKeys.add(entry.key);
+        i++;
+      } else {
+        this.pool.splice(i, 1);
+        this._run(entry);
+      }
+    }
+  }
+
+  // Processes a single item
+  _run(entry) {
     const self = this;
+    const startedAt = Date.now();
+    const wait = startedAt - entry.queuedAt;
+    const timeout = this.timeoutOf(entry.item);
+    const controller = createAbortController();
+    let released = false;
+    let timer = null;
+    let result;
+
+    this._processed++;
+    this._totalWait += wait;
+    this._maxWait = Math.max(this._maxWait, wait);
 
-    if (!this.Qprocessing && this.pool.length) {
-      this.Qprocessing++;
+    this.Qprocessing++;
+    this._activeKeys.add(entry.key);
+    if (entry.barrier) {
+      this._barrierActive = true;
+    }
 
-      this.dataProcessor.call(this.context, this.pool.shift())
-      .catch(function(err) {
-        logger.errorStack(err, 'Queue %s process error catched. ' +
-          'Currently processing %d:', self.qname, self.Qprocessing);
-      })
-      .then(function() {
+    // Frees the slot for the next item. Called once the item is processed,
+    // or when it times out.
+    function release() {
+      if (!released) {
+        released = true;
+        clearTimeout(timer);
         self.Qprocessing--;
+        self._activeKeys.delete(entry.key);
+        if (entry.barrier) {
+          self._barrierActive = false;
+        }
 
         process.nextTick(function() {
           self.process();
+
+          if (self.isIdle()) {
+            self._idleWaiters.slice().forEach(function(done) {
+              done(true);
+            });
+          }
         });
-      });
+      }
+    }
+
+    if (timeout) {
+      timer = setTimeout(function() {
+        self._timedOut++;
+        controller.abort();
+
+        try {
+          self.onTimeout(entry.item, timeout);
+        } catch (err) {
+          logger.errorStack(err, 'Queue %s onTimeout error:', self.qname);
+        }
+
+        release();
+      }, timeout);
     }
-  }
-};
 
+    try {
+      result = Promise.resolve(
+        this.dataProcessor.call(this.context, entry.item, controller.signal));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    result
+    .then(function() {
+      return null;
+    }, function(err) {
+      logger.errorStack(err, 'Queue %s process error catched. ' +
+        'Currently processing %d:', self.qname, self.Qprocessing);
+      return err;
+    })
+    .then(function(err) {
+      try {
+        self.onDone(entry.item, Date.now() - startedAt, err);
+      } catch (onDoneErr) {
+        logger.errorStack(onDoneErr, 'Queue %s onDone error:', self.qname);
+      }
+      release();
+    });
+  }
 
+  // Queue depth and wait times (ms)
+  getStats() {
+    return {
+      name: this.qname,
+      depth: this.pool.length,
+      processing: this.Qprocessing,
+      processed: this._processed,
+      avgWait: this._processed ?
+        Math.round(this._totalWait / this._processed) : 0,
+      maxWait: this._maxWait,
+      timedOut: this._timedOut,
+      oldestWait: this.pool.length ? Date.now() - this.pool[0].queuedAt : 0,
+    };
+  }
+};
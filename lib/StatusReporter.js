@@ -0,0 +1,87 @@
+'use strict';
+
+const logger = require('./logger.js');
+
+// Gathers the driver status reports from all nodes, and sends them in
+// batches. Used when the statusBatching option of the interface is set.
+//   window: Time in ms during which status changes are gathered (Default 100)
+//   maxPerMessage: Max statuses per message. 0 for no limit (Default 0)
+//   minInterval: Minimum time in ms between 2 reports of the same driver.
+//     Values reported in between are held, only the latest is sent.
+module.exports = class StatusReporter {
+  constructor(send, options = {}) {
+    this.send = send; // Called with each message to send
+    this.window = 'window' in options ? options.window : 100;
+    this.maxPerMessage = options.maxPerMessage || 0;
+    this.minInterval = options.minInterval || 0;
+
+    this._pending = new Map(); // address/driver => status
+    this._lastSent = {}; // address/driver => timestamp
+    this._timer = null;
+  }
+
+  // Status: {address, driver, value, uom}
+  report(status) {
+    // A newer value for the same driver replaces the pending one
+    this._pending.set(status.address + '/' + status.driver, status);
+
+    if (!this._timer) {
+      this._schedule(this.window);
+    }
+  }
+
+  _schedule(delay) {
+    const _this = this;
+
+    clearTimeout(this._timer);
+    this._timer = setTimeout(function() {
+      _this._timer = null;
+      try {
+        _this.flush();
+      } catch (err) {
+        logger.errorStack(err, 'Error sending the statuses:');
+      }
+    }, delay);
+  }
+
+  // Sends the pending statuses. Statuses held by minInterval are sent too if
+  // force is true.
+  flush(force = false) {
+    const _this = this;
+    const now = Date.now();
+    const statuses = [];
+    let nextDelay = null;
+
+    this._pending.forEach(function(status, key) {
+      const wait = (_this._lastSent[key] || 0) + _this.minInterval - now;
+
+      if (force || wait <= 0) {
+        statuses.push(status);
+        _this._pending.delete(key);
+        _this._lastSent[key] = now;
+      } else if (nextDelay === null || wait < nextDelay) {
+        nextDelay = wait;
+      }
+    });
+
+    const size = this.maxPerMessage || statuses.length;
+    for (let i = 0; i < statuses.length; i += size) {
+      const batch = statuses.slice(i, i + size);
+
+      // A single status is sent as an object, like an unbatched report
+      this.send({status: batch.length === 1 ? batch[0] : batch});
+    }
+
+    if (this._timer && !this._pending.size) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    } else if (nextDelay !== null) {
+      this._schedule(nextDelay);
+    }
+  }
+
+  // Number of statuses waiting to be sent
+  get length() {
+    return this._pending.size;
+  }
+};
@@ -0,0 +1,77 @@
+// Development mode: Runs the NodeServer without being launched by Polyglot.
+// The settings normally received on stdin are loaded from a local JSON file
+// and environment variables, and the initial config from a fixture file.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const readFile = util.promisify(fs.readFile);
+
+const defaultSettingsFile = 'dev.json';
+const defaultFixtureFile = 'dev-config.json';
+
+// Dev mode is enabled by the dev option, the --dev argument or the
+// POLYINTERFACE_DEV environment variable.
+function isEnabled(option, argv = process.argv, env = process.env) {
+  return Boolean(option) || argv.includes('--dev') ||
+    ['1', 'true', 'yes'].includes(
+      ('' + (env.POLYINTERFACE_DEV || '')).toLowerCase());
+}
+
+// Reads a JSON file. Returns defaultValue if the file does not exist and
+// is not required.
+async function readJson(fileName, required, defaultValue) {
+  try {
+    return JSON.parse(await readFile(fileName, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) {
+      return defaultValue;
+    }
+
+    throw new Error('Could not read ' + fileName + ': ' + err.message);
+  }
+}
+
+// Loads the dev mode settings.
+// option: true, or {settings: 'dev.json', fixture: 'dev-config.json'}
+// Returns {
+//   stdinConfig: {mqttHost, mqttPort, profileNum, ...},
+//   fixture: {nodes, customParams, customData, notices},
+// }
+// The settings file has the same content as the stdin config. mqttHost,
+// mqttPort and profileNum not in the file are taken from the environment
+// variables POLYINTERFACE_MQTT_HOST, POLYINTERFACE_MQTT_PORT and
+// POLYINTERFACE_PROFILE_NUM.
+async function load(option, env = process.env) {
+  const opts = typeof option === 'object' && option ? option : {};
+  const settingsFile = opts.settings || env.POLYINTERFACE_DEV_SETTINGS;
+  const fixtureFile = opts.fixture || env.POLYINTERFACE_DEV_FIXTURE;
+  const envSettings = {profileNum: 1};
+
+  if (env.POLYINTERFACE_MQTT_HOST) {
+    envSettings.mqttHost = env.POLYINTERFACE_MQTT_HOST;
+  }
+  if (env.POLYINTERFACE_MQTT_PORT) {
+    envSettings.mqttPort = env.POLYINTERFACE_MQTT_PORT;
+  }
+  if (env.POLYINTERFACE_PROFILE_NUM) {
+    envSettings.profileNum = env.POLYINTERFACE_PROFILE_NUM;
+  }
+
+  const stdinConfig = Object.assign(envSettings,
+    await readJson(path.resolve(settingsFile || defaultSettingsFile),
+      Boolean(settingsFile), {}));
+
+  const fixture = await readJson(
+    path.resolve(fixtureFile || defaultFixtureFile), Boolean(fixtureFile), {});
+
+  return {stdinConfig: stdinConfig, fixture: fixture};
+}
+
+module.exports = {
+  isEnabled: isEnabled,
+  load: load,
+};
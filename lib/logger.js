@@ -1,8 +1,12 @@
 'use strict';
 
 const winston = require('winston'); // Logging framework
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
-const exec = util.promisify(require('child_process').exec);
+
+const unlink = util.promisify(fs.unlink);
+const symlink = util.promisify(fs.symlink);
 
 require('winston-daily-rotate-file');
 const format = winston.format;
@@ -14,58 +18,128 @@ function zPad2(str) {
 
 // Creates a debug.log symLink to the real log file to be used by Polyglot UI
 async function makeDebugLogLink(filename) {
-  const cwd = process.cwd();
-  const logPath = filename.split('/').slice(0, -1).join('/'); // Keep path only
-  const physicalFile = cwd + '/' + filename; // Complete name with full path
-  const symLink = cwd + '/' + logPath + '/' + 'debug.log';
-  const cmd = "ln -sf '" + physicalFile + "' '" + symLink + "'";
+  const physicalFile = path.resolve(filename); // Complete name with full path
+  const symLink = path.join(path.dirname(physicalFile), 'debug.log');
+
   try {
-    await exec(cmd);
+    await unlink(symLink);
   } catch (err) {
-    module.exports.error('Error renaming log file: %s', err.message, err.stack);
+    if (err.code !== 'ENOENT') {
+      module.exports.error('Error removing log file link: %s', err.message);
+    }
+  }
+
+  try {
+    await symlink(physicalFile, symLink);
+  } catch (err) {
+    module.exports.error('Error linking log file: %s', err.message, err.stack);
   }
 }
 
+// Log output format: 'text' or 'json' (JSON lines)
+let logFormat = process.env.POLYINTERFACE_LOG_FORMAT === 'json' ?
+  'json' : 'text';
+
+// Properties of the log entries which are not structured fields
+const reservedFields = ['level', 'message', 'label', 'timestamp'];
+
 // Log message formatter
 const myFormat = winston.format.printf(info => {
   const d = new Date();
+
+  if (logFormat === 'json') {
+    // The structured fields (address, driver, cmd, messageKey...) are kept
+    const entry = {
+      timestamp: d.toISOString(),
+      level: info.level,
+      label: info.label,
+      message: info.message,
+    };
+
+    Object.keys(info).forEach(function(key) {
+      if (!reservedFields.includes(key)) {
+        entry[key] = info[key];
+      }
+    });
+
+    return JSON.stringify(entry);
+  }
+
   const dStr = d.getFullYear() + '-' +
     zPad2(d.getMonth() + 1) + '-' +
     zPad2(d.getDate()) + ' ' +
     zPad2(d.getHours()) + ':' +
     zPad2(d.getMinutes()) + ':' +
     zPad2(d.getSeconds());
+  const address = info.address ? `[${info.address}] ` : '';
 
-  return `${dStr} ${info.level}: ${info.label}: ${info.message}`;
+  return `${dStr} ${info.level}: ${info.label}: ${address}${info.message}`;
 });
 
-// Winston transport to file which takes care of log rotation
-const fileTransport = new (winston.transports.DailyRotateFile)({
-  handleExceptions: true,
-  filename: './logs/debug-%DATE%.log',
-  datePattern: 'YYYY-MM-DD',
-  zippedArchive: false,
-  maxSize: '10m',
-  maxFiles: '7d',
-  level: 'debug',
-  format: format.combine(format.splat(), myFormat),
-});
+// Levels which can be set with setLevel()
+const levels = Object.keys(winston.config.npm.levels);
+
+// Log file settings. Can be set with environment variables, or configure().
+const fileSettings = {
+  dir: process.env.POLYINTERFACE_LOG_DIR || './logs',
+  maxSize: process.env.POLYINTERFACE_LOG_MAX_SIZE || '10m',
+  maxFiles: process.env.POLYINTERFACE_LOG_MAX_FILES || '7d',
+};
+
+// Level of the poly and ns loggers
+const initialLevel = levels.includes(process.env.POLYINTERFACE_LOG_LEVEL) ?
+  process.env.POLYINTERFACE_LOG_LEVEL : 'info';
+
+// Winston transport to file which takes care of log rotation.
+// The level is set on the loggers, the format on LazyFileTransport.
+function createFileTransport() {
+  const transport = new (winston.transports.DailyRotateFile)({
+    filename: path.join(fileSettings.dir, 'debug-%DATE%.log'),
+    datePattern: 'YYYY-MM-DD',
+    zippedArchive: false,
+    maxSize: fileSettings.maxSize,
+    maxFiles: fileSettings.maxFiles,
+  });
+
+  // Rotate is only triggered when rotating. Not when the first log is
+  // created. The lower level 'new' event is triggered anytime a new log is
+  // created.
+  transport.logStream.on('new', function(newFilename) {
+    module.exports.debug('Log file set to: %s', newFilename);
+    makeDebugLogLink(newFilename);
+  });
+
+  return transport;
+}
 
-// Rotate is only triggered when rotating. Not when the first log is created.
-// fileTransport.on('rotate', function(oldFilename, newFilename) {
-//   makeDebugLogLink(newFilename);
-// });
+// The file transport, created on the first log entry or configure(), so that
+// requiring this module does not create the log directory.
+let fileTransport = null;
+
+// Transport of the loggers. Formats the entries, and writes them with the
+// file transport.
+class LazyFileTransport extends winston.Transport {
+  constructor() {
+    super({
+      handleExceptions: true,
+      format: format.combine(format.splat(), myFormat),
+    });
+  }
 
-// The lower level 'new' event is triggered anytime a new log is created.
-fileTransport.logStream.on('new', function(newFilename) {
-  module.exports.debug('Log file set to: %s', newFilename);
-  makeDebugLogLink(newFilename);
-});
+  log(info, callback) {
+    if (!fileTransport) {
+      fileTransport = createFileTransport();
+    }
+
+    fileTransport.log(info, callback);
+  }
+}
 
-const transports = [ fileTransport ];
+const transports = [ new LazyFileTransport() ];
 
 // Polyinterface specific logger
 winston.loggers.add('poly', {
+  level: initialLevel,
   format: format.label({label: 'POLY'}),
   exitOnError: true,
   transports: transports,
@@ -73,6 +147,7 @@ winston.loggers.add('poly', {
 
 // Node server specific logger. Will have NS: in the messages
 winston.loggers.add('ns', {
+  level: initialLevel,
   format: format.label({label: 'NS'}),
   exitOnError: true,
   transports: transports,
@@ -84,6 +159,55 @@ module.exports.errorStack = errorStack;
 module.exports.ns = winston.loggers.get('ns');
 module.exports.ns.errorStack = errorStack;
 
+// Sets the log output format: 'text' (Default) or 'json'
+module.exports.setFormat = function(newFormat) {
+  if (!['text', 'json'].includes(newFormat)) {
+    throw new Error('Invalid log format ' + newFormat);
+  }
+
+  logFormat = newFormat;
+};
+
+// Sets the level of the poly and ns loggers, or only one of them
+// (which: 'poly' or 'ns').
+// Levels: error, warn, info, http, verbose, debug, silly
+module.exports.setLevel = function(level, which = null) {
+  if (!levels.includes(level)) {
+    throw new Error('Invalid log level ' + level);
+  }
+
+  [module.exports, module.exports.ns].forEach(function(logger) {
+    if (!which || logger === winston.loggers.get(which)) {
+      logger.level = level;
+    }
+  });
+};
+
+// Returns the level of the poly logger, or the ns logger
+module.exports.getLevel = function(which = 'poly') {
+  return winston.loggers.get(which).level;
+};
+
+// Changes the log file settings: {dir, maxSize, maxFiles}
+// maxSize: Max size of a file before rotating (Example: '10m')
+// maxFiles: Max number of files, or days of logs kept (Example: '7d')
+// The new settings apply to a new log file.
+module.exports.configure = function(settings) {
+  const oldTransport = fileTransport;
+
+  ['dir', 'maxSize', 'maxFiles'].forEach(function(key) {
+    if (settings[key]) {
+      fileSettings[key] = settings[key];
+    }
+  });
+
+  fileTransport = createFileTransport();
+
+  if (oldTransport) {
+    oldTransport.close();
+  }
+};
+
 // Usage: logger.errorStack(err, 'whatever %s:', variable)
 function errorStack(err) {
   // Remove first argument
@@ -95,5 +219,6 @@ function errorStack(err) {
     loggerArgs[0] += ' ' + err; // Example: throw 'abc_string'
   }
 
-  module.exports.error.apply(this, loggerArgs);
+  // this is the logger used (poly, ns, or a child logger)
+  this.error.apply(this, loggerArgs);
 }
@@ -0,0 +1,225 @@
+// JSON schemas of the messages exchanged with Polyglot, keyed by message key.
+// Only the properties used by the interface are described. Other properties
+// are allowed.
+
+'use strict';
+
+const validateSchema = require('./validateSchema.js');
+
+// Polyglot sends most numbers and booleans as strings
+const stringOrNumber = {type: ['string', 'number']};
+const stringOrBoolean = {type: ['string', 'boolean']};
+const address = {type: 'string', minLength: 1};
+
+// Notices are an object (key => text), or an array of texts (older Polyglot)
+const notices = {
+  type: ['object', 'array'],
+  items: {type: 'string'},
+};
+
+const configNode = {
+  type: 'object',
+  required: ['address', 'primary', 'nodedef'],
+  properties: {
+    // Polyglot prefixes addresses with n<profileNum>_
+    address: {type: 'string', minLength: 6},
+    primary: {type: 'string', minLength: 6},
+    nodedef: {type: 'string', minLength: 1},
+    name: {type: 'string'},
+    controller: stringOrBoolean,
+    enabled: stringOrBoolean,
+    added: stringOrBoolean,
+    timeAdded: stringOrNumber,
+    drivers: {
+      type: ['object', 'array'],
+    },
+  },
+};
+
+const status = {
+  type: 'object',
+  required: ['address', 'driver', 'value', 'uom'],
+  properties: {
+    address: address,
+    driver: {type: 'string', minLength: 1},
+    value: {type: ['string', 'number', 'boolean']},
+    uom: stringOrNumber,
+  },
+};
+
+const requestResult = {
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: {type: 'boolean'},
+    reason: {type: ['string', 'object', 'null']},
+    address: {type: 'string'},
+  },
+};
+
+// Messages received from Polyglot
+const inbound = {
+  config: {
+    type: 'object',
+    required: ['newNodes'],
+    properties: {
+      newNodes: {type: 'array', items: configNode},
+      nodes: {type: 'array'},
+      customParams: {type: 'object'},
+      customData: {type: 'object'},
+      notices: notices,
+      profileNum: stringOrNumber,
+    },
+  },
+  command: {
+    type: 'object',
+    required: ['address', 'cmd'],
+    properties: {
+      address: address,
+      cmd: {type: 'string', minLength: 1},
+      value: {type: ['string', 'number', 'null']},
+      uom: {type: ['string', 'number', 'null']},
+      query: {type: 'object'},
+    },
+  },
+  query: {
+    type: 'object',
+    required: ['address'],
+    properties: {address: address},
+  },
+  status: {
+    type: 'object',
+    required: ['address'],
+    properties: {address: address},
+  },
+  shortPoll: {},
+  longPoll: {},
+  stop: {},
+  delete: {},
+  result: {
+    type: 'object',
+    properties: {
+      addnode: requestResult,
+      removenode: requestResult,
+      installprofile: requestResult,
+      customparams: requestResult,
+      customdata: requestResult,
+    },
+  },
+};
+
+// Messages sent to Polyglot
+const outbound = {
+  connected: {type: 'boolean'},
+  status: {
+    anyOf: [status, {type: 'array', items: status}],
+  },
+  command: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['address', 'command'],
+      properties: {
+        address: address,
+        command: {type: 'string', minLength: 1},
+        value: {type: 'string'},
+        uom: stringOrNumber,
+      },
+    },
+  },
+  addnode: {
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['address', 'name', 'node_def_id', 'primary', 'drivers'],
+          properties: {
+            address: {type: 'string', minLength: 1},
+            name: {type: 'string', minLength: 1},
+            node_def_id: {type: 'string', minLength: 1},
+            primary: {type: 'string', minLength: 1},
+            hint: {type: 'string'},
+            drivers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['driver', 'value', 'uom'],
+                properties: {
+                  driver: {type: 'string', minLength: 1},
+                  uom: stringOrNumber,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  removenode: {
+    type: 'object',
+    required: ['address'],
+    properties: {address: address},
+  },
+  customparams: {type: 'object'},
+  customdata: {type: 'object'},
+  customparamsdoc: {type: 'string'},
+  typedparams: {type: 'array', items: {type: 'object', required: ['name']}},
+  addnotice: {
+    type: 'object',
+    required: ['key', 'value'],
+    properties: {
+      key: {type: 'string', minLength: 1},
+      value: {type: 'string'},
+    },
+  },
+  // {key} to remove a notice, or its text (array format)
+  removenotice: {
+    anyOf: [{
+      type: 'object',
+      required: ['key'],
+      properties: {key: {type: 'string', minLength: 1}},
+    }, {
+      type: 'string',
+    }],
+  },
+  installprofile: {
+    type: 'object',
+    properties: {reboot: {type: 'boolean'}},
+  },
+  restart: {type: 'object'},
+};
+
+module.exports = {
+  inbound: inbound,
+  outbound: outbound,
+
+  // Validates the content of a message key received from Polyglot.
+  // Returns a list of errors. Unknown keys are not validated.
+  validateInbound: function(key, content) {
+    return inbound[key] ? validateSchema(inbound[key], content, key) : [];
+  },
+
+  // Validates a message sent to Polyglot.
+  // Returns a list of errors. Unknown keys are reported too.
+  validateOutbound: function(message) {
+    let errors = [];
+
+    Object.keys(message).forEach(function(key) {
+      if (key === 'node') {
+        return;
+      }
+
+      if (!outbound[key]) {
+        errors.push('Unknown message ' + key);
+      } else {
+        errors = errors.concat(
+          validateSchema(outbound[key], message[key], key));
+      }
+    });
+
+    return errors;
+  },
+};
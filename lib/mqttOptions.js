@@ -0,0 +1,154 @@
+// Builds the MQTT connection options from the defaults, the stdin config,
+// the environment variables and the interface options.
+
+'use strict';
+
+const fs = require('fs');
+
+const protocols = ['mqtt', 'mqtts', 'ws', 'wss'];
+
+// Settings, with their stdin config key, environment variable and type.
+// The ca, cert and key settings are file names (or Buffers in the options).
+const settings = {
+  host: {stdin: 'mqttHost', env: 'POLYINTERFACE_MQTT_HOST', type: 'string'},
+  port: {stdin: 'mqttPort', env: 'POLYINTERFACE_MQTT_PORT', type: 'number'},
+  protocol: {
+    stdin: 'mqttProtocol',
+    env: 'POLYINTERFACE_MQTT_PROTOCOL',
+    type: 'string',
+  },
+  path: {stdin: 'mqttPath', env: 'POLYINTERFACE_MQTT_PATH', type: 'string'},
+  username: {
+    stdin: 'mqttUsername',
+    env: 'POLYINTERFACE_MQTT_USERNAME',
+    type: 'string',
+  },
+  password: {
+    stdin: 'mqttPassword',
+    env: 'POLYINTERFACE_MQTT_PASSWORD',
+    type: 'string',
+  },
+  ca: {stdin: 'mqttCa', env: 'POLYINTERFACE_MQTT_CA', type: 'file'},
+  cert: {stdin: 'mqttCert', env: 'POLYINTERFACE_MQTT_CERT', type: 'file'},
+  key: {stdin: 'mqttKey', env: 'POLYINTERFACE_MQTT_KEY', type: 'file'},
+  rejectUnauthorized: {
+    stdin: 'mqttRejectUnauthorized',
+    env: 'POLYINTERFACE_MQTT_REJECT_UNAUTHORIZED',
+    type: 'boolean',
+  },
+  keepalive: {
+    stdin: 'mqttKeepalive',
+    env: 'POLYINTERFACE_MQTT_KEEPALIVE',
+    type: 'number',
+  },
+  reconnectPeriod: {
+    stdin: 'mqttReconnectPeriod',
+    env: 'POLYINTERFACE_MQTT_RECONNECT_PERIOD',
+    type: 'number',
+  },
+  clientId: {
+    stdin: 'mqttClientId',
+    env: 'POLYINTERFACE_MQTT_CLIENT_ID',
+    type: 'string',
+  },
+};
+
+// The settings used when nothing else is given
+const defaults = {
+  protocol: 'mqtts',
+  username: 'admin',
+  password: 'admin',
+  rejectUnauthorized: false,
+};
+
+function convert(name, type, value) {
+  switch (type) {
+    case 'number':
+      if (('' + value).trim() === '' || isNaN(Number(value))) {
+        throw new Error('MQTT setting ' + name + ' is not a number: ' + value);
+      }
+      return Number(value);
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (['true', '1', 'yes'].includes(('' + value).toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(('' + value).toLowerCase())) {
+        return false;
+      }
+      throw new Error('MQTT setting ' + name + ' is not a boolean: ' + value);
+
+    default:
+      return value;
+  }
+}
+
+// Returns the settings found in source, using the key given by keyOf
+function pick(source, keyOf) {
+  const result = {};
+
+  Object.keys(settings).forEach(function(name) {
+    const value = source[keyOf(name)];
+
+    if (value !== undefined && value !== null && value !== '') {
+      result[name] = convert(name, settings[name].type, value);
+    }
+  });
+
+  return result;
+}
+
+// Merges the settings. Precedence is:
+// defaults < environment variables < stdin config < interface options.
+// The environment variables only fill in what Polyglot did not send.
+// Returns {url, options} for mqtt.connect().
+function mqttOptions(stdinConfig = {}, env = {}, options = {}) {
+  const s = Object.assign({},
+    defaults,
+    pick(env, function(name) {
+      return settings[name].env;
+    }),
+    pick(stdinConfig, function(name) {
+      return settings[name].stdin;
+    }),
+    pick(options, function(name) {
+      return name;
+    }));
+
+  if (!protocols.includes(s.protocol)) {
+    throw new Error('MQTT protocol ' + s.protocol + ' is not supported. ' +
+      'Use one of ' + protocols.join(', '));
+  }
+
+  const connectOptions = {
+    port: s.port,
+    clientId: s.clientId ||
+      'mqttjs_' + Math.random().toString(16).substr(2, 8),
+    username: s.username,
+    password: s.password,
+    rejectUnauthorized: s.rejectUnauthorized,
+  };
+
+  ['keepalive', 'reconnectPeriod', 'path'].forEach(function(name) {
+    if (name in s) {
+      connectOptions[name] = s[name];
+    }
+  });
+
+  ['ca', 'cert', 'key'].forEach(function(name) {
+    if (name in s) {
+      connectOptions[name] = Buffer.isBuffer(s[name]) ?
+        s[name] : fs.readFileSync(s[name]);
+    }
+  });
+
+  return {
+    url: s.protocol + '://' + s.host,
+    options: connectOptions,
+  };
+}
+
+module.exports = mqttOptions;
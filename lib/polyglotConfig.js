@@ -0,0 +1,115 @@
+// Builds config messages like the ones Polyglot sends. Used by the fake
+// Polyglot and the development mode.
+
+'use strict';
+
+// Polyglot prefixes node addresses with n<profileNum>_ (Example: n001_)
+function addressPrefix(profileNum) {
+  return 'n' + ('00' + profileNum).slice(-3) + '_';
+}
+
+// Converts an addnode drivers array into drivers keyed by driver name
+function driversToObject(drivers) {
+  if (!Array.isArray(drivers)) {
+    return drivers;
+  }
+
+  return drivers.reduce(function(result, d) {
+    result[d.driver] = {value: d.value, uom: d.uom};
+    return result;
+  }, {});
+}
+
+// Copies drivers keyed by driver name, with only their value and uom
+function copyDrivers(drivers) {
+  const result = {};
+
+  Object.keys(drivers).forEach(function(key) {
+    result[key] = {value: drivers[key].value, uom: drivers[key].uom};
+  });
+
+  return result;
+}
+
+// Returns the node as stored in the Polyglot database, from a node in the
+// addnode format or the state format.
+function nodeState(n) {
+  const node = Object.assign({
+    primary: n.address,
+    controller: false,
+    enabled: true,
+    added: true,
+    timeAdded: Date.now(),
+  }, n, {
+    nodedef: n.nodedef || n.node_def_id,
+    drivers: driversToObject(n.drivers),
+  });
+
+  delete node.node_def_id;
+  return node;
+}
+
+// Builds a config message content.
+// state: {profileNum, nodes: {address: node}, customParams, customData,
+// notices}. Nodes are in the state format (See nodeState).
+function buildConfig(state, overrides = {}) {
+  const profileNum = state.profileNum || 1;
+  const prefix = addressPrefix(profileNum);
+  const nodes = state.nodes || {};
+  const notices = state.notices || {};
+
+  const newNodes = Object.keys(nodes).map(function(address) {
+    const n = nodes[address];
+    const result = Object.assign({}, n, {
+      address: prefix + n.address,
+      primary: prefix + n.primary,
+      isprimary: n.address === n.primary,
+      profileNum: '' + profileNum,
+    });
+
+    // The interface keeps the drivers received, they must not be shared with
+    // the state
+    if (n.drivers) {
+      result.drivers = copyDrivers(n.drivers);
+    } else {
+      delete result.drivers;
+    }
+    return result;
+  });
+
+  return Object.assign({
+    profileNum: '' + profileNum,
+    nodes: newNodes,
+    newNodes: newNodes,
+    customParams: Object.assign({}, state.customParams),
+    customData: Object.assign({}, state.customData),
+    notices: Array.isArray(notices) ?
+      notices.slice() : Object.assign({}, notices),
+    shortPoll: 10,
+    longPoll: 30,
+  }, overrides);
+}
+
+// Builds a config message content from a fixture, such as dev-config.json:
+// {nodes: [node], customParams, customData, notices}
+function configFromFixture(fixture, profileNum) {
+  const nodes = {};
+
+  (fixture.nodes || []).forEach(function(n) {
+    nodes[n.address] = nodeState(n);
+  });
+
+  return buildConfig(Object.assign({}, fixture, {
+    profileNum: profileNum,
+    nodes: nodes,
+  }));
+}
+
+module.exports = {
+  addressPrefix: addressPrefix,
+  driversToObject: driversToObject,
+  copyDrivers: copyDrivers,
+  nodeState: nodeState,
+  buildConfig: buildConfig,
+  configFromFixture: configFromFixture,
+};
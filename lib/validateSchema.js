@@ -0,0 +1,123 @@
+// Minimal JSON schema validator, for the subset of JSON schema used by the
+// message schemas: type, enum, properties, required, additionalProperties,
+// items, anyOf, minLength and minimum.
+
+'use strict';
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Path of a property, such as config.newNodes[0].address
+function childPath(path, key) {
+  return typeof key === 'number' ? path + '[' + key + ']' : path + '.' + key;
+}
+
+// Validates value against schema.
+// Returns a list of errors, such as 'config.newNodes[0].address is required'.
+// Empty if value is valid.
+function validateSchema(schema, value, path = 'value') {
+  let errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+
+    if (!types.some(function(type) {
+      return matchesType(value, type);
+    })) {
+      return [path + ' must be ' + types.join(' or ') +
+        ' (got ' + typeOf(value) + ')'];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(path + ' must be one of ' + schema.enum.join(', '));
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(function(subSchema) {
+      return validateSchema(subSchema, value, path);
+    });
+
+    if (!attempts.some(function(attempt) {
+      return !attempt.length;
+    })) {
+      // Reports the errors of the first schema of the same type as the value
+      const sameType = schema.anyOf.filter(function(subSchema) {
+        return !subSchema.type || [].concat(subSchema.type).some(function(t) {
+          return matchesType(value, t);
+        });
+      });
+
+      errors = errors.concat(sameType.length ?
+        validateSchema(sameType[0], value, path) :
+        [path + ' must be ' + schema.anyOf.map(function(subSchema) {
+          return [].concat(subSchema.type).join(' or ');
+        }).join(' or ') + ' (got ' + typeOf(value) + ')']);
+    }
+  }
+
+  if (typeof value === 'string' && 'minLength' in schema &&
+    value.length < schema.minLength) {
+    errors.push(path + ' must not be empty');
+  }
+
+  if (typeof value === 'number' && 'minimum' in schema &&
+    value < schema.minimum) {
+    errors.push(path + ' must be at least ' + schema.minimum);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(function(key) {
+      if (value[key] === undefined) {
+        errors.push(childPath(path, key) + ' is required');
+      }
+    });
+
+    Object.keys(value).forEach(function(key) {
+      if (value[key] === undefined) {
+        return;
+      }
+
+      if (properties[key]) {
+        errors = errors.concat(
+          validateSchema(properties[key], value[key], childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(childPath(path, key) + ' is not allowed');
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors = errors.concat(validateSchema(schema.additionalProperties,
+          value[key], childPath(path, key)));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach(function(item, i) {
+      errors = errors.concat(
+        validateSchema(schema.items, item, childPath(path, i)));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = validateSchema;
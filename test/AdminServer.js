@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const helpers = require('./support/helpers.js');
+const AdminServer = require('../lib/AdminServer.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+// Starts an admin server for the interface, on a free port
+async function startServer(poly, options = {}) {
+  const server = new AdminServer(poly, Object.assign({port: 0}, options));
+
+  server.listen();
+  await new Promise(function(resolve) {
+    server._server.once('listening', resolve);
+  });
+
+  return server;
+}
+
+// Sends a request with the token. Resolves with {statusCode, body}
+function request(server, method, urlPath, body, headers) {
+  return new Promise(function(resolve, reject) {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server._server.address().port,
+      method: method,
+      path: urlPath,
+      headers: Object.assign({
+        Authorization: 'Bearer secret',
+        'Content-Type': 'application/json',
+      }, headers),
+    }, function(res) {
+      let data = '';
+      res.on('data', function(chunk) {
+        data += chunk;
+      });
+      res.on('end', function() {
+        resolve({statusCode: res.statusCode, body: JSON.parse(data)});
+      });
+    });
+
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe('AdminServer', function() {
+  let poly;
+  let polyglot;
+  let server;
+
+  beforeEach(async function() {
+    ({poly, polyglot} = helpers.createInterface({
+      paramsSchema: [{name: 'password', secret: true}],
+    }));
+    server = await startServer(poly, {token: 'secret'});
+  });
+
+  afterEach(async function() {
+    server.close();
+    if (poly._config) {
+      await polyglot.stop();
+    }
+  });
+
+  it('requires the token', async function() {
+    await polyglot.start({nodes: [node]});
+
+    assert.strictEqual((await request(server, 'GET', '/nodes', null,
+      {Authorization: 'Bearer wrong'})).statusCode, 401);
+    assert.strictEqual((await request(server, 'GET', '/nodes?token=secret',
+      null, {Authorization: ''})).statusCode, 200);
+  });
+
+  it('describes the nodes', async function() {
+    await polyglot.start({nodes: [node]});
+
+    const res = await request(server, 'GET', '/nodes/node1');
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.nodeDefId, 'TESTNODE');
+    assert.deepStrictEqual(res.body.drivers.ST, {value: '0', uom: 51});
+    assert.deepStrictEqual(Object.keys(res.body.commands),
+      ['DON', 'SLOW', 'FAIL', 'QUERY']);
+    assert.strictEqual((await request(server, 'GET', '/nodes/node9'))
+    .statusCode, 404);
+  });
+
+  it('queues the commands as if Polyglot had sent them', async function() {
+    await polyglot.start({nodes: [node]});
+
+    const res = await request(server, 'POST', '/nodes/node1/command',
+      {cmd: 'DON', value: '42'});
+    await polyglot.idle();
+
+    assert.deepStrictEqual(res, {statusCode: 202, body: {queued: 'command'}});
+    assert.deepStrictEqual(poly.getNode('node1').calls, ['DON']);
+    assert.deepStrictEqual(polyglot.getDriver('node1', 'ST'),
+      {value: '42', uom: 51});
+  });
+
+  it('rejects the invalid requests', async function() {
+    await polyglot.start({nodes: [node]});
+
+    assert.strictEqual((await request(server, 'POST', '/nodes/node1/command',
+      {cmd: 'DON'}, {'Content-Type': 'text/plain'})).statusCode, 415);
+    assert.deepStrictEqual(await request(server, 'POST',
+      '/nodes/node1/command', {cmd: ''}), {
+      statusCode: 400,
+      body: {error: 'command.cmd must not be empty'},
+    });
+    assert.strictEqual((await request(server, 'GET', '/nodes/%E0%A4%A'))
+    .statusCode, 400);
+    assert.strictEqual((await request(server, 'GET', '/other')).statusCode,
+      404);
+  });
+
+  it('hides the secret params and the custom data of the config',
+    async function() {
+      await polyglot.start({
+        customParams: {password: 'hunter2'},
+        customData: {apiToken: 'abc'},
+      });
+
+      const res = await request(server, 'GET', '/config');
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body.customParams, {password: '********'});
+      assert.strictEqual('customData' in res.body, false);
+      assert.strictEqual('nodes' in res.body, false);
+    });
+
+  it('answers 503 for the config and notices before the first config',
+    async function() {
+      assert.deepStrictEqual(await request(server, 'GET', '/notices'), {
+        statusCode: 503,
+        body: {error: 'No config received from Polyglot yet'},
+      });
+      assert.strictEqual((await request(server, 'GET', '/config')).statusCode,
+        503);
+      assert.strictEqual((await request(server, 'GET', '/stats')).statusCode,
+        200);
+    });
+
+  it('prints the generated token on stderr, and does not log it',
+    async function() {
+      const write = process.stderr.write;
+      const printed = [];
+      const logged = helpers.captureLog('info');
+
+      process.stderr.write = function(text) {
+        printed.push(text);
+        return true;
+      };
+
+      try {
+        const generated = await startServer(poly);
+        generated.close();
+
+        assert.deepStrictEqual(printed,
+          ['Admin API token: ' + generated.token + '\n']);
+        assert.strictEqual(logged.messages.some(function(message) {
+          return message.includes(generated.token);
+        }), false);
+      } finally {
+        process.stderr.write = write;
+        logged.restore();
+      }
+    });
+});
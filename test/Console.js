@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const stream = require('stream');
+const mqtt = require('mqtt');
+const Console = require('../lib/Console.js');
+
+const topic = 'udi/polyglot/ns/3';
+
+const config = {
+  nodes: [{
+    address: 'n003_node1',
+    primary: 'n003_node1',
+    name: 'Node 1',
+    nodedef: 'TESTNODE',
+    drivers: {ST: {value: '0', uom: 51}},
+  }],
+  customParams: {host: 'example.com'},
+  customData: {},
+};
+
+// Starts a console connected to a fake MQTT client.
+// client.published has the messages published.
+function startConsole(options = {}) {
+  const connect = mqtt.connect;
+  const client = new events.EventEmitter();
+
+  client.published = [];
+  client.subscribed = [];
+  client.subscribe = function(t) {
+    client.subscribed.push(t);
+  };
+  client.publish = function(t, payload) {
+    client.published.push(JSON.parse(payload));
+  };
+  client.end = function() {};
+
+  mqtt.connect = function(url, connectOptions) {
+    client.url = url;
+    client.options = connectOptions;
+    return client;
+  };
+
+  const output = new stream.PassThrough();
+  output.text = '';
+  output.on('data', function(data) {
+    output.text += data;
+  });
+
+  const polyConsole = new Console({
+    mqttHost: 'localhost',
+    mqttPort: 1883,
+    profileNum: '3',
+  }, Object.assign({input: new stream.PassThrough(), output: output},
+    options));
+
+  try {
+    polyConsole.start();
+  } finally {
+    mqtt.connect = connect;
+  }
+
+  client.emit('connect');
+  return {polyConsole: polyConsole, client: client, output: output};
+}
+
+// Emits a message received on the topic
+function receive(client, message) {
+  client.emit('message', topic, Buffer.from(JSON.stringify(message)));
+}
+
+describe('Console', function() {
+  let polyConsole;
+  let client;
+  let output;
+
+  afterEach(function() {
+    polyConsole.stop();
+  });
+
+  it('connects with its own client ID, and subscribes to the topic',
+    function() {
+      ({polyConsole, client} = startConsole({
+        mqtt: {clientId: 'nodeserver'},
+      }));
+
+      assert.strictEqual(client.url, 'mqtts://localhost');
+      assert.strictEqual(
+        client.options.clientId.startsWith('polyinterface-console-'), true);
+      assert.deepStrictEqual(client.subscribed, [topic]);
+    });
+
+  it('lists the nodes of the config, and the driver values received',
+    async function() {
+      ({polyConsole, client, output} = startConsole());
+
+      receive(client, {node: 'polyglot', config: config});
+      receive(client, {node: '3', status: {
+        address: 'node1', driver: 'ST', value: '100', uom: 51,
+      }});
+      output.text = '';
+
+      await polyConsole.run('nodes');
+      await polyConsole.run('drivers node1');
+
+      assert.strictEqual(output.text,
+        'node1  TESTNODE  Node 1\nST = 100 (uom 51)\n');
+    });
+
+  it('sends the commands as Polyglot', async function() {
+    ({polyConsole, client} = startConsole());
+    receive(client, {node: 'polyglot', config: config});
+
+    await polyConsole.run('cmd node1 DON 100 51');
+    await polyConsole.run('query node1');
+    await polyConsole.run('shortpoll');
+
+    assert.deepStrictEqual(client.published, [
+      {node: 'polyglot', command: {
+        address: 'node1', cmd: 'DON', value: '100', uom: '51',
+      }},
+      {node: 'polyglot', query: {address: 'node1'}},
+      {node: 'polyglot', shortPoll: {}},
+    ]);
+  });
+
+  it('sets the params on top of the ones saved by the NodeServer',
+    async function() {
+      ({polyConsole, client} = startConsole());
+      receive(client, {node: 'polyglot', config: config});
+      receive(client, {node: '3', customparams: {
+        host: 'example.com',
+        port: '443',
+      }});
+
+      await polyConsole.run('param units metric');
+      await polyConsole.run('unparam host');
+
+      assert.deepStrictEqual(client.published.map(function(message) {
+        return message.config.customParams;
+      }), [
+        {host: 'example.com', port: '443', units: 'metric'},
+        {port: '443'},
+      ]);
+    });
+
+  it('rejects the unknown commands and the missing config',
+    async function() {
+      ({polyConsole, client} = startConsole());
+
+      await assert.rejects(polyConsole.run('foo'), /Unknown command foo/);
+      await assert.rejects(polyConsole.run('param units metric'),
+        /No config received yet/);
+    });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+
+const file = path.join(os.tmpdir(), 'polyinterface-test-drivers.json');
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+// GV1 opted out of the persistence
+class PersistNode extends helpers.TestNode {
+  constructor(polyInterface, primary, address, name) {
+    super(polyInterface, primary, address, name);
+    this.drivers.GV1.persist = false;
+  }
+}
+
+PersistNode.nodeDefId = 'TESTNODE';
+
+function createInterface(persistDrivers) {
+  return helpers.createInterface({
+    persistDrivers: Object.assign({file: file, debounce: 10}, persistDrivers),
+  });
+}
+
+function readSnapshot() {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+describe('DriverStore', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('saves the driver values, and restores them after a restart',
+    async function() {
+      ({poly, polyglot} = createInterface());
+      await polyglot.start({nodes: [node]});
+
+      await polyglot.sendCommand('node1', 'DON', 42);
+      await helpers.delay(30);
+
+      assert.strictEqual(readSnapshot().node1.ST.value, '42');
+      await polyglot.stop();
+
+      ({poly, polyglot} = createInterface());
+      await polyglot.start({nodes: [node]});
+
+      assert.strictEqual(poly.getNode('node1').drivers.ST.value, '42');
+    });
+
+  it('saves the pending values on shutdown', async function() {
+    ({poly, polyglot} = createInterface({debounce: 10000}));
+    await polyglot.start({nodes: [node]});
+
+    await polyglot.sendCommand('node1', 'DON', 42);
+    assert.strictEqual(fs.existsSync(file), false);
+
+    await polyglot.stop();
+
+    assert.strictEqual(readSnapshot().node1.ST.value, '42');
+  });
+
+  it('does not restore the old values, nor the values with another uom',
+    async function() {
+      fs.writeFileSync(file, JSON.stringify({node1: {
+        ST: {value: '42', uom: 51, time: Date.now() - 2000},
+        GV1: {value: '7', uom: 99, time: Date.now()},
+      }}));
+
+      ({poly, polyglot} = createInterface({maxAge: 1000}));
+      await polyglot.start({nodes: [node]});
+
+      assert.strictEqual(poly.getNode('node1').drivers.ST.value, '0');
+      assert.strictEqual(poly.getNode('node1').drivers.GV1.value, '0');
+    });
+
+  it('does not save nor restore the drivers declared with persist: false',
+    async function() {
+      fs.writeFileSync(file, JSON.stringify({node1: {
+        GV1: {value: '7', uom: 56, time: Date.now()},
+      }}));
+
+      poly = new helpers.Polyglot.Interface([PersistNode], {
+        profile: {validate: false},
+        persistDrivers: {file: file, debounce: 10},
+      });
+      polyglot = new helpers.FakePolyglot(poly);
+      await polyglot.start({nodes: [node]});
+
+      assert.strictEqual(poly.getNode('node1').drivers.GV1.value, '0');
+
+      await polyglot.sendCommand('node1', 'SLOW', 5);
+      await polyglot.sendCommand('node1', 'DON', 42);
+      await helpers.delay(30);
+
+      assert.deepStrictEqual(Object.keys(readSnapshot().node1), ['GV1', 'ST']);
+      assert.strictEqual(readSnapshot().node1.GV1.value, '7');
+    });
+
+  it('saves the values in the custom data', async function() {
+    ({poly, polyglot} = createInterface({storage: 'customData'}));
+    await polyglot.start({nodes: [node]});
+
+    await polyglot.sendCommand('node1', 'DON', 42);
+    await helpers.delay(30);
+    await helpers.settle(polyglot);
+
+    assert.strictEqual(polyglot.customData.driverValues.node1.ST.value, '42');
+    assert.strictEqual(fs.existsSync(file), false);
+  });
+
+  it('forgets the values of the removed nodes', async function() {
+    ({poly, polyglot} = createInterface());
+    await polyglot.start({nodes: [node]});
+
+    await polyglot.sendCommand('node1', 'DON', 42);
+    await helpers.delay(30);
+
+    delete polyglot.nodes.node1;
+    polyglot.sendConfig();
+    await polyglot.idle();
+    await helpers.delay(30);
+
+    assert.deepStrictEqual(readSnapshot(), {});
+  });
+});
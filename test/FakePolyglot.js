@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+describe('FakePolyglot', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('sends the initial config and creates the nodes', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+
+    const configs = [];
+    poly.on('config', function(config) {
+      configs.push(config);
+    });
+
+    await polyglot.start({nodes: [node], customParams: {a: '1'}});
+
+    assert.strictEqual(configs.length, 1);
+    assert.strictEqual(configs[0].isInitialConfig, true);
+    assert.deepStrictEqual(configs[0].customParams, {a: '1'});
+    assert.strictEqual(poly.getNode('node1') instanceof helpers.TestNode,
+      true);
+    assert.strictEqual(poly.getNode('node1').name, 'Node 1');
+  });
+
+  it('runs commands and keeps the driver values reported', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+
+    await polyglot.sendCommand('node1', 'DON', 42);
+
+    assert.deepStrictEqual(poly.getNode('node1').calls, ['DON']);
+    assert.deepStrictEqual(polyglot.sent('status'), [
+      {address: 'node1', driver: 'ST', value: '42', uom: 51},
+    ]);
+    assert.deepStrictEqual(polyglot.getDriver('node1', 'ST'),
+      {value: '42', uom: 51});
+    assert.strictEqual(polyglot.getDriver('node1', 'GV1'), undefined);
+  });
+
+  it('does not share the driver objects with the nodes', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+
+    poly.getNode('node1').setDriver('ST', 5);
+    polyglot.sendConfig();
+    await polyglot.idle();
+
+    const drivers = poly.getNode('node1').drivers;
+    assert.deepStrictEqual(Object.keys(drivers), ['ST', 'GV1']);
+    assert.notStrictEqual(drivers, polyglot.nodes.node1.drivers);
+    assert.notStrictEqual(drivers.ST, polyglot.nodes.node1.drivers.ST);
+    assert.strictEqual(drivers.ST.value, '5');
+  });
+
+  it('adds the nodes, and sends the result and a new config',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start();
+
+      const result = await poly.addNode(
+        new helpers.TestNode(poly, 'node2', 'node2', 'Node 2'));
+      await helpers.settle(polyglot);
+
+      assert.strictEqual(result, 'AddNode: node2 added successfully.');
+      assert.strictEqual(polyglot.nodes.node2.name, 'Node 2');
+      assert.strictEqual(poly.getNode('node2').name, 'Node 2');
+    });
+
+  it('sends the result returned by addNodeResult', async function() {
+    ({poly, polyglot} = helpers.createInterface({}, {
+      addNodeResult: function() {
+        return {success: false, reason: 'No room'};
+      },
+    }));
+    await polyglot.start();
+
+    await assert.rejects(poly.addNode(
+      new helpers.TestNode(poly, 'node2', 'node2', 'Node 2')), /No room/);
+    assert.strictEqual(polyglot.nodes.node2, undefined);
+  });
+
+  it('saves the custom params and data it receives', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+
+    await poly.saveCustomParamsAsync({a: '1'});
+    await poly.saveCustomDataAsync({b: 2});
+    await helpers.settle(polyglot);
+
+    assert.deepStrictEqual(polyglot.customParams, {a: '1'});
+    assert.deepStrictEqual(polyglot.customData, {b: 2});
+    assert.deepStrictEqual(poly.getCustomParams(), {a: '1'});
+  });
+
+  it('keeps the notices in an array with the array format',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({}, {
+        noticesFormatObject: false,
+      }));
+      await polyglot.start();
+
+      poly.addNotice('n1', 'Notice 1');
+      await helpers.settle(polyglot);
+      assert.deepStrictEqual(polyglot.notices, ['Notice 1']);
+
+      poly.removeNotice('n1');
+      await helpers.settle(polyglot);
+      assert.deepStrictEqual(polyglot.notices, []);
+    });
+
+  it('does not install the signal handlers by default', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    const listeners = process.listenerCount('SIGTERM');
+
+    await polyglot.start();
+
+    assert.strictEqual(process.listenerCount('SIGTERM'), listeners);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+// GET request. Resolves with {statusCode, body}
+function get(port, urlPath) {
+  return new Promise(function(resolve, reject) {
+    http.get({host: '127.0.0.1', port: port, path: urlPath}, function(res) {
+      let body = '';
+      res.on('data', function(chunk) {
+        body += chunk;
+      });
+      res.on('end', function() {
+        resolve({statusCode: res.statusCode, body: body});
+      });
+    }).on('error', reject);
+  });
+}
+
+describe('Metrics', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('counts the messages and the commands per nodeDefId and command',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({nodes: [node]});
+
+      const errors = helpers.captureLog('error');
+      await polyglot.sendCommand('node1', 'DON');
+      await polyglot.sendCommand('node1', 'FAIL');
+      await polyglot.sendCommand('node9', 'DON');
+      errors.restore();
+
+      const stats = poly.getStats();
+
+      assert.strictEqual(stats.messagesReceived.command, 3);
+      assert.strictEqual(stats.messagesSent.status, 1);
+      assert.strictEqual(stats.nodes, 1);
+      assert.deepStrictEqual(stats.connected, {mqtt: true, polyglot: true});
+      assert.strictEqual(stats.commands['TESTNODE/DON'].count, 1);
+      assert.strictEqual(stats.commands['TESTNODE/FAIL'].errors, 1);
+      assert.strictEqual(stats.commands['unknown/DON'].count, 1);
+
+      // Only the error of the interface about the unknown node
+      assert.strictEqual(errors.messages.filter(function(message) {
+        return message.includes('node9');
+      }).length, 1);
+    });
+
+  it('serves the metrics in the Prometheus format', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+    await polyglot.sendCommand('node1', 'DON');
+
+    const metrics = poly._metrics;
+    metrics.listen(0);
+    await new Promise(function(resolve) {
+      metrics._server.once('listening', resolve);
+    });
+
+    try {
+      const port = metrics._server.address().port;
+      const res = await get(port, '/metrics');
+      const lines = res.body.split('\n');
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(lines.includes(
+        'polyinterface_commands_total{nodedef="TESTNODE",cmd="DON"} 1'), true);
+      assert.strictEqual(lines.includes('polyinterface_nodes 1'), true);
+      assert.strictEqual(lines.includes(
+        '# TYPE polyinterface_mqtt_reconnects_total counter'), true);
+
+      assert.strictEqual((await get(port, '/other')).statusCode, 404);
+    } finally {
+      metrics.close();
+    }
+  });
+});
+
+describe('Metrics with MQTT', function() {
+  it('counts the successful reconnections only', async function() {
+    const {poly, client} = await helpers.createMqttInterface();
+
+    try {
+      client.emit('connect');
+      client.emit('offline');
+      client.emit('reconnect');
+      client.emit('reconnect');
+      client.emit('connect');
+
+      assert.strictEqual(poly.getStats().mqttReconnects, 1);
+    } finally {
+      await poly.shutdown();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+const OutboundBuffer = require('../lib/OutboundBuffer.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+describe('OutboundBuffer', function() {
+  it('keeps only the latest status of a driver', function() {
+    const buffer = new OutboundBuffer();
+    const sent = [];
+
+    buffer.add({status: {address: 'a', driver: 'ST', value: '1', uom: 51}});
+    buffer.add({addnotice: {key: 'k', value: 'text'}});
+    buffer.add({status: {address: 'a', driver: 'ST', value: '2', uom: 51}});
+    buffer.flush(function(message) {
+      sent.push(message);
+    });
+
+    assert.deepStrictEqual(sent, [
+      {addnotice: {key: 'k', value: 'text'}},
+      {status: {address: 'a', driver: 'ST', value: '2', uom: 51}},
+    ]);
+    assert.strictEqual(buffer.length, 0);
+  });
+
+  it('drops the oldest messages when full', function() {
+    const buffer = new OutboundBuffer(2);
+
+    buffer.add({removenotice: {key: 'a'}});
+    buffer.add({removenotice: {key: 'b'}});
+    buffer.add({removenotice: {key: 'c'}});
+
+    assert.strictEqual(buffer.length, 2);
+    assert.strictEqual(buffer.dropped, 1);
+  });
+
+  it('sends the messages buffered while Polyglot was disconnected',
+    async function() {
+      const {poly, polyglot} = helpers.createInterface({outboundBuffer: true});
+      await polyglot.start({nodes: [node]});
+      polyglot.clearMessages();
+
+      poly._onPolyglotConnection(false);
+      poly.getNode('node1').setDriver('ST', 10);
+      poly.getNode('node1').setDriver('ST', 20);
+      assert.deepStrictEqual(polyglot.sent('status'), []);
+
+      poly._onPolyglotConnection(true);
+
+      assert.deepStrictEqual(polyglot.sent('status'), [
+        {address: 'node1', driver: 'ST', value: '20', uom: 51},
+      ]);
+
+      await polyglot.stop();
+    });
+
+  it('sends the messages buffered while the MQTT client was offline, ' +
+    'once connected again', async function() {
+    const {poly, client} = await helpers.createMqttInterface({
+      outboundBuffer: true,
+    });
+
+    client.emit('connect');
+    client.emit('message', 'udi/polyglot/connections/polyglot',
+      Buffer.from(JSON.stringify({node: 'polyglot', connected: true})));
+    client.emit('offline');
+    client.emit('reconnect');
+    assert.strictEqual(poly._mqttClientConnected, false);
+
+    client.published = [];
+    poly.sendMessage({customparamsdoc: 'Doc'});
+    assert.deepStrictEqual(client.published, []);
+
+    client.emit('connect');
+    assert.deepStrictEqual(client.published, [
+      {node: '1', connected: true},
+      {node: '1', customparamsdoc: 'Doc'},
+    ]);
+
+    await poly.shutdown();
+  });
+
+  it('drops the messages while disconnected if not enabled',
+    async function() {
+      const {poly, polyglot} = helpers.createInterface();
+      await polyglot.start({nodes: [node]});
+      polyglot.clearMessages();
+
+      poly._onPolyglotConnection(false);
+      poly.getNode('node1').setDriver('ST', 10);
+      poly._onPolyglotConnection(true);
+
+      assert.deepStrictEqual(polyglot.sent('status'), []);
+
+      await polyglot.stop();
+    });
+});
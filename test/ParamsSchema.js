@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+const ParamsSchema = require('../lib/ParamsSchema.js');
+
+const schema = [
+  {name: 'host', title: 'Host', isRequired: true},
+  {name: 'port', title: 'Port', type: 'NUMBER', defaultValue: '443',
+    min: 1, max: 65535},
+  {name: 'units', title: 'Units', defaultValue: 'metric',
+    enum: ['metric', 'imperial']},
+  {name: 'debug', type: 'BOOLEAN', defaultValue: 'false'},
+  {name: 'zones', type: 'NUMBER', isList: true},
+  {name: 'password', title: 'Password', secret: true, type: 'NUMBER'},
+];
+
+describe('ParamsSchema', function() {
+  it('sends the typedparams properties only', function() {
+    const typedParams = new ParamsSchema(schema).typedParams();
+
+    assert.deepStrictEqual(typedParams[1], {
+      name: 'port',
+      title: 'Port',
+      type: 'NUMBER',
+      defaultValue: '443',
+    });
+  });
+
+  it('returns the defaults of the missing params', function() {
+    assert.deepStrictEqual(
+      new ParamsSchema(schema).missingDefaults({port: '80'}),
+      {units: 'metric', debug: 'false'});
+  });
+
+  it('parses the values', function() {
+    const parsed = new ParamsSchema(schema).parse({
+      host: 'example.com',
+      port: '8443',
+      debug: 'on',
+      zones: '1, 2,,3',
+    });
+
+    assert.deepStrictEqual(parsed.errors, {});
+    assert.deepStrictEqual(parsed.values, {
+      host: 'example.com',
+      port: 8443,
+      units: 'metric',
+      debug: true,
+      zones: [1, 2, 3],
+      password: null,
+    });
+  });
+
+  it('reports the invalid values, without the secret ones', function() {
+    const parsed = new ParamsSchema(schema).parse({
+      port: '70000',
+      units: 'kelvin',
+      debug: 'maybe',
+      zones: '1,x',
+      password: 'hunter2',
+    });
+
+    assert.deepStrictEqual(parsed.errors, {
+      host: 'Parameter Host is required',
+      port: 'Parameter Port must be at most 65535 (70000)',
+      units: 'Parameter Units must be one of metric, imperial (kelvin)',
+      debug: 'Parameter debug is not a boolean (maybe)',
+      zones: 'Parameter zones is not a number (x)',
+      password: 'Parameter Password is not a number',
+    });
+  });
+
+  it('rejects a schema which is not an array', function() {
+    assert.throws(function() {
+      return new ParamsSchema({});
+    }, /not an array/);
+  });
+
+  describe('with the interface', function() {
+    let poly;
+    let polyglot;
+
+    afterEach(async function() {
+      await polyglot.stop();
+    });
+
+    it('sends the typed params and saves the missing defaults',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface({paramsSchema: schema}));
+        await polyglot.start({customParams: {host: 'example.com'}});
+        await helpers.settle(polyglot);
+
+        assert.strictEqual(polyglot.sent('typedparams').length, 1);
+        assert.deepStrictEqual(polyglot.customParams, {
+          host: 'example.com',
+          port: '443',
+          units: 'metric',
+          debug: 'false',
+        });
+        assert.strictEqual(poly.getTypedParam('port'), 443);
+        assert.deepStrictEqual(polyglot.notices, {});
+      });
+
+    it('adds a notice for each invalid param, and removes it once fixed',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface({paramsSchema: schema}));
+        await polyglot.start({customParams: {port: 'abc'}});
+        await helpers.settle(polyglot);
+
+        assert.deepStrictEqual(polyglot.notices, {
+          'param-host': 'Parameter Host is required',
+          'param-port': 'Parameter Port is not a number (abc)',
+        });
+
+        poly.addCustomParams({host: 'example.com', port: '80'});
+        await helpers.settle(polyglot);
+
+        assert.deepStrictEqual(polyglot.notices, {});
+        assert.strictEqual(poly.getTypedParams().port, 80);
+      });
+  });
+});
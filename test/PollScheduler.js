@@ -0,0 +1,168 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+// Node polled on its own timer
+class TimerNode extends helpers.TestNode {
+  constructor(polyInterface, primary, address, name) {
+    super(polyInterface, primary, address, name);
+    this.shortPollInterval = 0.02;
+  }
+}
+
+TimerNode.nodeDefId = 'TIMERNODE';
+
+const nodes = [
+  {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'},
+  {address: 'node2', name: 'Node 2', nodedef: 'TESTNODE', enabled: false},
+];
+
+describe('PollScheduler', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('polls the enabled nodes when Polyglot polls', async function() {
+    ({poly, polyglot} = helpers.createInterface({pollScheduler: true}));
+    await polyglot.start({nodes: nodes});
+
+    const polls = [];
+    poly.on('poll', function(longPoll) {
+      polls.push(longPoll);
+    });
+
+    await polyglot.shortPoll();
+    await polyglot.idle();
+
+    assert.deepStrictEqual(polls, [false]);
+    assert.deepStrictEqual(poly.getNode('node1').calls,
+      ['shortPoll start', 'shortPoll end']);
+    assert.deepStrictEqual(poly.getNode('node2').calls, []);
+  });
+
+  it('polls the nodes with their own interval on their timer',
+    async function() {
+      poly = new helpers.Polyglot.Interface([helpers.TestNode, TimerNode], {
+        profile: {validate: false},
+        pollScheduler: true,
+      });
+      polyglot = new helpers.FakePolyglot(poly);
+      await polyglot.start({nodes: [
+        nodes[0],
+        {address: 'timer1', name: 'Timer 1', nodedef: 'TIMERNODE'},
+      ]});
+
+      await polyglot.shortPoll();
+      assert.deepStrictEqual(poly.getNode('timer1').calls, []);
+
+      await helpers.delay(30);
+      await polyglot.idle();
+
+      assert.deepStrictEqual(poly.getNode('timer1').calls,
+        ['shortPoll start', 'shortPoll end']);
+    });
+
+  it('does not poll a node again while its poll is running',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({
+        pollScheduler: true,
+        queueConcurrency: 4,
+      }));
+      await polyglot.start({nodes: nodes});
+
+      poly.getNode('node1').pollDuration = 30;
+      polyglot.send({shortPoll: {}});
+      await helpers.delay(10);
+      polyglot.send({shortPoll: {}});
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(poly.getNode('node1').calls,
+        ['shortPoll start', 'shortPoll end']);
+    });
+
+  it('does not run the poll of a node at the same time as its commands',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({
+        pollScheduler: true,
+        queueConcurrency: 4,
+      }));
+      await polyglot.start({nodes: nodes});
+
+      polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+      polyglot.send({shortPoll: {}});
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(poly.getNode('node1').calls, [
+        'SLOW start', 'SLOW end', 'shortPoll start', 'shortPoll end',
+      ]);
+    });
+
+  it('times out the poll of a node', async function() {
+    ({poly, polyglot} = helpers.createInterface({
+      pollScheduler: true,
+      handlerTimeouts: {shortPoll: 20},
+    }));
+    await polyglot.start({nodes: nodes});
+
+    poly.getNode('node1').pollDuration = 50;
+    await polyglot.shortPoll();
+    await helpers.settle(polyglot);
+
+    assert.strictEqual(typeof polyglot.notices['timeout-node1'], 'string');
+    await helpers.delay(50);
+  });
+
+  it('polls a node added again after being removed before its poll ran',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({pollScheduler: true}));
+      await polyglot.start({nodes: nodes});
+
+      const node1 = polyglot.nodes.node1;
+      const errors = helpers.captureLog('error');
+
+      // The removal is queued before the poll of node1
+      polyglot.send({command: {address: 'node2', cmd: 'SLOW', value: '20'}});
+      polyglot.send({shortPoll: {}});
+      delete polyglot.nodes.node1;
+      polyglot.sendConfig();
+      await helpers.settle(polyglot);
+      errors.restore();
+
+      assert.strictEqual(poly.getNodes().node1, undefined);
+      assert.deepStrictEqual(Array.from(poly._pollScheduler._running), []);
+      assert.deepStrictEqual(errors.messages, []);
+
+      polyglot.nodes.node1 = node1;
+      polyglot.sendConfig();
+      await polyglot.shortPoll();
+      await polyglot.idle();
+
+      assert.deepStrictEqual(poly.getNode('node1').calls,
+        ['shortPoll start', 'shortPoll end']);
+    });
+
+  it('does not queue the poll of a node removed during the jitter delay',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({pollScheduler: true}));
+      await polyglot.start({nodes: nodes});
+
+      const node1 = poly.getNode('node1');
+      const errors = helpers.captureLog('error');
+      node1.pollJitter = 30;
+
+      await polyglot.shortPoll();
+      delete polyglot.nodes.node1;
+      polyglot.sendConfig();
+      await helpers.delay(40);
+      await polyglot.idle();
+      errors.restore();
+
+      assert.deepStrictEqual(node1.calls, []);
+      assert.deepStrictEqual(Array.from(poly._pollScheduler._running), []);
+      assert.deepStrictEqual(errors.messages, []);
+    });
+});
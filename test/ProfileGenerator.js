@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+const ProfileGenerator = require('../lib/ProfileGenerator.js');
+
+class DimmerNode extends helpers.Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('DIMMER', polyInterface, primary, address, name);
+
+    this.commands = {
+      DON: this.onDON,
+      DOF: this.onDOF,
+      SETMODE: {
+        handler: this.onSETMODE,
+        params: [{name: 'mode', type: 'integer', uom: 25}],
+      },
+    };
+
+    this.drivers = {
+      ST: {value: '0', uom: 51},
+      GV1: {value: '0', uom: 25},
+      GV2: {value: '0', uom: 17},
+    };
+  }
+
+  onDON() {}
+
+  onDOF() {}
+
+  onSETMODE() {}
+}
+
+DimmerNode.nodeDefId = 'DIMMER';
+
+DimmerNode.profile = {
+  name: 'Dimmer',
+  icon: 'LightDimmer',
+  sends: ['DON'],
+  drivers: {
+    ST: {name: 'Status'},
+    GV1: {name: 'Mode', names: ['Off', 'Heat', 'Cool']},
+    GV2: {name: 'Temperature', min: -40, max: 60, prec: 1},
+  },
+  commands: {
+    DON: {name: 'On', params: [{id: '', uom: 51, min: 0, max: 100}]},
+    SETMODE: {
+      name: 'Set Mode',
+      params: [{id: 'M', uom: 25, names: {0: 'Off', 1: 'Heat'}}],
+    },
+  },
+};
+
+// Node class with a driver which has no range
+class RawNode extends helpers.Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('RAWNODE', polyInterface, primary, address, name);
+
+    this.drivers = {
+      ST: {value: '0', uom: 2},
+      GV1: {value: '0', uom: 56},
+    };
+  }
+}
+
+RawNode.nodeDefId = 'RAWNODE';
+
+describe('ProfileGenerator', function() {
+  it('generates the nodedefs, editors and nls', function() {
+    const profile = new ProfileGenerator([DimmerNode]).generate();
+
+    assert.strictEqual(profile.nodedefs.includes(
+      '<nodeDef id="DIMMER" nls="DIMMER">'), true);
+    assert.strictEqual(profile.nodedefs.includes(
+      '<st id="GV1" editor="DIMMER_GV1" />'), true);
+    assert.strictEqual(profile.nodedefs.includes(
+      '<p id="M" editor="DIMMER_SETMODE_M" />'), true);
+
+    assert.strictEqual(profile.editors.includes(
+      '<range uom="51" min="0" max="100" />'), true);
+    assert.strictEqual(profile.editors.includes(
+      '<range uom="25" subset="0-2" nls="DIMMER_GV1" />'), true);
+    assert.strictEqual(profile.editors.includes(
+      '<range uom="17" min="-40" max="60" prec="1" />'), true);
+
+    const nls = profile.nls.split('\n');
+    ['ND-DIMMER-NAME = Dimmer', 'ND-DIMMER-ICON = LightDimmer',
+      'ST-DIMMER-GV1-NAME = Mode', 'CMD-DIMMER-SETMODE-NAME = Set Mode',
+      'DIMMER_GV1-2 = Cool', 'DIMMER_SETMODE_M-1 = Heat',
+    ].forEach(function(line) {
+      assert.strictEqual(nls.includes(line), true, line);
+    });
+  });
+
+  it('uses the range of the uom when none is declared', function() {
+    const profile = new ProfileGenerator([RawNode], {
+      metadata: {RAWNODE: {drivers: {GV1: {min: 0, max: 10}}}},
+    }).generate();
+
+    assert.strictEqual(profile.editors.includes(
+      '<range uom="2" min="0" max="1" />'), true);
+    assert.strictEqual(profile.editors.includes(
+      '<range uom="56" min="0" max="10" />'), true);
+  });
+
+  it('throws when an editor has no range', function() {
+    const generator = new ProfileGenerator([RawNode]);
+
+    assert.throws(function() {
+      generator.generate();
+    }, /Editor RAWNODE_GV1 \(uom 56\) needs min and max/);
+  });
+
+  it('writes the profile files and the zip file', async function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyinterface-'));
+    const zipFile = path.join(dir, 'profile.zip');
+
+    const files = await new ProfileGenerator([DimmerNode])
+    .write(path.join(dir, 'profile'), zipFile);
+
+    assert.strictEqual(files.length, 4);
+    files.forEach(function(file) {
+      assert.strictEqual(fs.existsSync(file), true, file);
+    });
+    assert.strictEqual(fs.readFileSync(zipFile).readUInt32LE(0), 0x04034b50);
+  });
+
+  it('generates the profile before updateProfileAsync() if enabled',
+    async function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyinterface-'));
+      const poly = new helpers.Polyglot.Interface([DimmerNode], {
+        profile: {
+          generate: true,
+          validate: false,
+          dir: path.join(dir, 'profile'),
+          zipFile: path.join(dir, 'profile.zip'),
+        },
+      });
+      const polyglot = new helpers.FakePolyglot(poly);
+      await polyglot.start();
+
+      await poly.updateProfileAsync();
+
+      assert.strictEqual(fs.existsSync(
+        path.join(dir, 'profile', 'nodedef', 'nodedefs.xml')), true);
+      assert.deepStrictEqual(polyglot.sent('installprofile'),
+        [{reboot: false}]);
+
+      await polyglot.stop();
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+const validateProfile = require('../lib/ProfileValidator.js').validateProfile;
+
+const nodedefs = '<nodeDefs>\n' +
+  '  <!-- <nodeDef id="COMMENTED"></nodeDef> -->\n' +
+  '  <nodeDef id="TESTNODE" nls="TESTNODE">\n' +
+  '    <sts>\n' +
+  '      <st id="ST" editor="PERCENT" />\n' +
+  '      <st id="GV1" editor="RAW" />\n' +
+  '    </sts>\n' +
+  '    <cmds>\n' +
+  '      <sends />\n' +
+  '      <accepts>\n' +
+  '        <cmd id="DON" />\n' +
+  '        <cmd id="SLOW" />\n' +
+  '        <cmd id="FAIL" />\n' +
+  '        <cmd id="QUERY" />\n' +
+  '      </accepts>\n' +
+  '    </cmds>\n' +
+  '  </nodeDef>\n' +
+  '</nodeDefs>\n';
+
+const editors = '<editors>\n' +
+  '  <editor id="PERCENT"><range uom="51" min="0" max="100" /></editor>\n' +
+  '  <editor id="RAW"><range uom="56" min="0" max="1000" /></editor>\n' +
+  '</editors>\n';
+
+// Writes a profile directory, and returns its name
+function writeProfile(nodedefsXml, editorsXml) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyinterface-'));
+
+  fs.mkdirSync(path.join(dir, 'nodedef'));
+  fs.mkdirSync(path.join(dir, 'editor'));
+  fs.writeFileSync(path.join(dir, 'nodedef', 'nodedefs.xml'), nodedefsXml);
+  fs.writeFileSync(path.join(dir, 'editor', 'editors.xml'), editorsXml);
+
+  return dir;
+}
+
+describe('ProfileValidator', function() {
+  it('finds no errors when the node classes match the profile', function() {
+    const dir = writeProfile(nodedefs, editors);
+
+    assert.deepStrictEqual(validateProfile([helpers.TestNode], dir), []);
+  });
+
+  it('reports the mismatches', function() {
+    const dir = writeProfile(
+      nodedefs
+      .replace('<st id="GV1" editor="RAW" />', '<st id="GV2" editor="RAW" />')
+      .replace('<cmd id="FAIL" />', '<cmd id="DOF" />'),
+      editors.replace('uom="51"', 'uom="100"'));
+
+    assert.deepStrictEqual(validateProfile([helpers.TestNode], dir), [
+      'TESTNODE: driver ST uom is 51, but editor PERCENT uom is 100',
+      'TESTNODE: driver GV1 is not in the nodeDef sts',
+      'TESTNODE: nodeDef driver GV2 is missing from the node drivers',
+      'TESTNODE: nodeDef accepts command DOF, but the node has no handler ' +
+        'for it',
+      'TESTNODE: command FAIL is not in the nodeDef accepts',
+    ]);
+  });
+
+  it('reports the node classes without nodeDef', function() {
+    const dir = writeProfile(nodedefs.replace(/TESTNODE/g, 'OTHER'), editors);
+
+    assert.deepStrictEqual(validateProfile([helpers.TestNode], dir),
+      ['nodeDef TESTNODE not found in profile']);
+  });
+
+  it('adds a notice on start when the profile does not match',
+    async function() {
+      const dir = writeProfile(nodedefs.replace('<cmd id="FAIL" />', ''),
+        editors);
+      const {polyglot} = helpers.createInterface({profile: {dir: dir}});
+
+      await polyglot.start();
+      await helpers.settle(polyglot);
+
+      assert.strictEqual(polyglot.notices.profileValidation,
+        'The profile does not match the node classes: ' +
+        'TESTNODE: command FAIL is not in the nodeDef accepts');
+
+      await polyglot.stop();
+    });
+
+  it('does not add a notice when the profile matches', async function() {
+    const dir = writeProfile(nodedefs, editors);
+    const {polyglot} = helpers.createInterface({profile: {dir: dir}});
+
+    await polyglot.start();
+    await helpers.settle(polyglot);
+
+    assert.deepStrictEqual(polyglot.notices, {});
+
+    await polyglot.stop();
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const delay = require('./support/helpers.js').delay;
+const Queue = require('../lib/Queue.js');
+
+// Queue which records when each item starts and ends.
+// Items: {key, ms, barrier, timeout}
+function createQueue(options = {}) {
+  const log = [];
+  const signals = {};
+
+  const queue = new Queue(async function(item, signal) {
+    signals[item.name] = signal;
+    log.push(item.name + ' start');
+    await delay(item.ms || 0);
+    log.push(item.name + ' end');
+  }, null, 'Test Queue', Object.assign({
+    keyOf: function(item) {
+      return item.key;
+    },
+    isBarrier: function(item) {
+      return Boolean(item.barrier);
+    },
+    timeoutOf: function(item) {
+      return item.timeout || 0;
+    },
+  }, options));
+
+  return {queue: queue, log: log, signals: signals};
+}
+
+describe('Queue', function() {
+  it('processes the items of a key in order, one at a time', async function() {
+    const q = createQueue({concurrency: 4});
+
+    q.queue.add({name: 'a1', key: 'a', ms: 20});
+    q.queue.add({name: 'a2', key: 'a'});
+    await q.queue.drain();
+
+    assert.deepStrictEqual(q.log, ['a1 start', 'a1 end', 'a2 start', 'a2 end']);
+  });
+
+  it('processes different keys in parallel up to the concurrency',
+    async function() {
+      const q = createQueue({concurrency: 2});
+
+      q.queue.add({name: 'a', key: 'a', ms: 20});
+      q.queue.add({name: 'b', key: 'b', ms: 20});
+      q.queue.add({name: 'c', key: 'c'});
+      await q.queue.drain();
+
+      assert.deepStrictEqual(q.log.slice(0, 2), ['a start', 'b start']);
+      assert.strictEqual(q.log.indexOf('c start') > q.log.indexOf('a end'),
+        true);
+    });
+
+  it('runs barriers alone, after the items before them', async function() {
+    const q = createQueue({concurrency: 4});
+
+    q.queue.add({name: 'a', key: 'a', ms: 20});
+    q.queue.add({name: 'config', key: 'config', barrier: true, ms: 20});
+    q.queue.add({name: 'b', key: 'b'});
+    await q.queue.drain();
+
+    assert.deepStrictEqual(q.log, [
+      'a start', 'a end', 'config start', 'config end', 'b start', 'b end',
+    ]);
+  });
+
+  it('keeps the wait time statistics', async function() {
+    const q = createQueue();
+
+    q.queue.add({name: 'a', key: 'a', ms: 20});
+    q.queue.add({name: 'b', key: 'b'});
+    assert.strictEqual(q.queue.getStats().depth, 1);
+    assert.strictEqual(q.queue.getStats().processing, 1);
+
+    await q.queue.drain();
+
+    const stats = q.queue.getStats();
+    assert.strictEqual(stats.depth, 0);
+    assert.strictEqual(stats.processed, 2);
+    assert.strictEqual(stats.maxWait >= 15, true);
+    assert.strictEqual(q.queue.isIdle(), true);
+  });
+
+  it('moves on when an item times out, and aborts its signal',
+    async function() {
+      const timedOut = [];
+      const q = createQueue({
+        onTimeout: function(item, timeout) {
+          timedOut.push([item.name, timeout]);
+        },
+      });
+
+      q.queue.add({name: 'slow', key: 'a', ms: 100, timeout: 20});
+      q.queue.add({name: 'next', key: 'a'});
+      await q.queue.drain();
+
+      assert.deepStrictEqual(timedOut, [['slow', 20]]);
+      assert.strictEqual(q.signals.slow.aborted, true);
+      assert.deepStrictEqual(q.log, ['slow start', 'next start', 'next end']);
+      assert.strictEqual(q.queue.getStats().timedOut, 1);
+    });
+
+  it('calls onDone with the duration and the error', async function() {
+    const done = [];
+    const queue = new Queue(function(item) {
+      if (item.fail) {
+        throw new Error('failed');
+      }
+    }, null, 'Test Queue', {
+      onDone: function(item, duration, err) {
+        done.push([item.name, typeof duration, err ? err.message : null]);
+      },
+    });
+
+    queue.add({name: 'ok'});
+    queue.add({name: 'ko', fail: true});
+    await queue.drain();
+
+    assert.deepStrictEqual(done, [
+      ['ok', 'number', null],
+      ['ko', 'number', 'failed'],
+    ]);
+  });
+});
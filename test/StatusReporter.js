@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+const StatusReporter = require('../lib/StatusReporter.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+function status(driver, value) {
+  return {address: 'node1', driver: driver, value: value, uom: 51};
+}
+
+describe('StatusReporter', function() {
+  it('sends the statuses of the window in one message', async function() {
+    const sent = [];
+    const reporter = new StatusReporter(function(message) {
+      sent.push(message);
+    }, {window: 10});
+
+    reporter.report(status('ST', '1'));
+    reporter.report(status('GV1', '2'));
+    reporter.report(status('ST', '3'));
+    assert.deepStrictEqual(sent, []);
+
+    await helpers.delay(30);
+
+    assert.deepStrictEqual(sent, [
+      {status: [status('ST', '3'), status('GV1', '2')]},
+    ]);
+    assert.strictEqual(reporter.length, 0);
+  });
+
+  it('splits the batches with maxPerMessage', function() {
+    const sent = [];
+    const reporter = new StatusReporter(function(message) {
+      sent.push(message);
+    }, {maxPerMessage: 2});
+
+    ['ST', 'GV1', 'GV2'].forEach(function(driver) {
+      reporter.report(status(driver, '1'));
+    });
+    reporter.flush();
+
+    assert.deepStrictEqual(sent, [
+      {status: [status('ST', '1'), status('GV1', '1')]},
+      {status: status('GV2', '1')},
+    ]);
+  });
+
+  it('holds the values reported within minInterval', async function() {
+    const sent = [];
+    const reporter = new StatusReporter(function(message) {
+      sent.push(message);
+    }, {window: 0, minInterval: 100});
+
+    reporter.report(status('ST', '1'));
+    await helpers.delay(10);
+    reporter.report(status('ST', '2'));
+    reporter.report(status('ST', '3'));
+    await helpers.delay(10);
+
+    assert.deepStrictEqual(sent, [{status: status('ST', '1')}]);
+    assert.strictEqual(reporter.length, 1);
+
+    await helpers.delay(120);
+
+    assert.deepStrictEqual(sent, [
+      {status: status('ST', '1')},
+      {status: status('ST', '3')},
+    ]);
+  });
+
+  it('sends the held values when forced', function() {
+    const sent = [];
+    const reporter = new StatusReporter(function(message) {
+      sent.push(message);
+    }, {minInterval: 60000});
+
+    reporter.report(status('ST', '1'));
+    reporter.flush();
+    reporter.report(status('ST', '2'));
+    reporter.flush();
+    reporter.flush(true);
+
+    assert.deepStrictEqual(sent, [
+      {status: status('ST', '1')},
+      {status: status('ST', '2')},
+    ]);
+  });
+
+  it('batches the driver reports of the nodes', async function() {
+    const {poly, polyglot} = helpers.createInterface({
+      statusBatching: {window: 10},
+    });
+    await polyglot.start({nodes: [node]});
+
+    poly.getNode('node1').setDriver('ST', 10);
+    poly.getNode('node1').setDriver('GV1', 20);
+    assert.deepStrictEqual(polyglot.sent('status'), []);
+
+    await helpers.delay(30);
+
+    assert.deepStrictEqual(polyglot.sent('status'), [[
+      {address: 'node1', driver: 'ST', value: '10', uom: 51},
+      {address: 'node1', driver: 'GV1', value: '20', uom: 56},
+    ]]);
+    assert.deepStrictEqual(polyglot.getDriver('node1', 'GV1'),
+      {value: '20', uom: 56});
+
+    await polyglot.stop();
+  });
+
+  it('sends the pending statuses on shutdown', async function() {
+    const {poly, polyglot} = helpers.createInterface({
+      statusBatching: {window: 60000},
+    });
+    await polyglot.start({nodes: [node]});
+
+    poly.getNode('node1').setDriver('ST', 10);
+    await polyglot.stop();
+
+    assert.deepStrictEqual(polyglot.sent('status'), [
+      {address: 'node1', driver: 'ST', value: '10', uom: 51},
+    ]);
+  });
+});
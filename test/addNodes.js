@@ -0,0 +1,139 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+// Addresses sent in the addnode messages, per message
+function addnodeMessages(polyglot) {
+  return polyglot.sent('addnode').map(function(addnode) {
+    return addnode.nodes.map(function(n) {
+      return n.address;
+    });
+  });
+}
+
+describe('addNodes', function() {
+  let poly;
+  let polyglot;
+
+  function newNode(address) {
+    return new helpers.TestNode(poly, address, address, 'Node ' + address);
+  }
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('sends the nodes in batches and reports the result of each node',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({}, {
+        addNodeResult: function(n) {
+          return n.address === 'node3' ?
+            {success: false, reason: 'Invalid node'} :
+            {success: true, reason: n.address + ' added'};
+        },
+      }));
+      await polyglot.start({nodes: [node]});
+
+      const report = await poly.addNodes(
+        ['node1', 'node2', 'node3', 'node4'].map(newNode), {batchSize: 2});
+
+      assert.deepStrictEqual(report, {
+        node1: {success: true, skipped: true, reason: 'Node already exists'},
+        node2: {success: true, reason: 'node2 added'},
+        node3: {success: false, reason: 'Invalid node'},
+        node4: {success: true, reason: 'node4 added'},
+      });
+      assert.deepStrictEqual(addnodeMessages(polyglot),
+        [['node2', 'node3'], ['node4']]);
+    });
+
+  it('sends the existing nodes if skipExisting is false', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+
+    const report = await poly.addNodes([newNode('node1')],
+      {skipExisting: false});
+
+    assert.strictEqual(report.node1.success, true);
+    assert.strictEqual(report.node1.skipped, undefined);
+    assert.deepStrictEqual(addnodeMessages(polyglot), [['node1']]);
+  });
+
+  it('reports the nodes without result after the timeout', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+    polyglot._sendResult = function() {};
+
+    const report = await poly.addNodes([newNode('node2')], {timeout: 20});
+
+    assert.deepStrictEqual(report, {node2: {
+      success: false,
+      reason: 'Polyglot result message not received',
+    }});
+  });
+
+  it('reports all the nodes as failed when Polyglot is not connected',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start();
+      poly._onPolyglotConnection(false);
+
+      const report = await poly.addNodes([newNode('node2')]);
+
+      assert.deepStrictEqual(report, {node2: {
+        success: false,
+        reason: 'Polyglot not connected',
+      }});
+      poly._onPolyglotConnection(true);
+    });
+
+  it('reports the entries which are not nodes', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+
+    const report = await poly.addNodes([
+      {address: 'node2'}, null, newNode('node3'),
+    ]);
+
+    assert.deepStrictEqual(report.node2,
+      {success: false, reason: 'Not an instance of Node class'});
+    assert.deepStrictEqual(report['nodes[1]'],
+      {success: false, reason: 'Not an instance of Node class'});
+    assert.deepStrictEqual(report.node3,
+      {success: true, reason: 'AddNode: node3 added successfully.'});
+  });
+
+  it('sends the nodes listed twice once', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+
+    const report = await poly.addNodes([newNode('node2'), newNode('node2')]);
+
+    assert.deepStrictEqual(Object.keys(report), ['node2']);
+    assert.deepStrictEqual(addnodeMessages(polyglot), [['node2']]);
+  });
+
+  it('gives the nodes already being added the pending result',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start();
+
+      const reports = await Promise.all([
+        poly.addNodes([newNode('node2')]),
+        poly.addNodes([newNode('node2'), newNode('node3')]),
+      ]);
+
+      assert.deepStrictEqual(reports[0], {
+        node2: {success: true, reason: 'AddNode: node2 added successfully.'},
+      });
+      assert.deepStrictEqual(reports[1], {
+        node2: {success: true, reason: 'AddNode: node2 added successfully.'},
+        node3: {success: true, reason: 'AddNode: node3 added successfully.'},
+      });
+      assert.deepStrictEqual(addnodeMessages(polyglot),
+        [['node2'], ['node3']]);
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+describe('Async requests', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('resolves delNodeAsync() once the node is removed', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+
+    const removed = [];
+    poly.on('nodeRemoved', function(n) {
+      removed.push(n.address);
+    });
+
+    const reason = await poly.getNode('node1').delNodeAsync();
+    await helpers.settle(polyglot);
+
+    assert.strictEqual(reason, 'RemoveNode: node1 removed.');
+    assert.strictEqual(polyglot.nodes.node1, undefined);
+    assert.deepStrictEqual(removed, ['node1']);
+  });
+
+  it('rejects delNodeAsync() if the node is not a Node', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+
+    await assert.rejects(poly.delNodeAsync({address: 'node1'}),
+      /not an instance of Node/);
+  });
+
+  it('resolves updateProfileAsync() with the result', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+
+    assert.strictEqual(await poly.updateProfileAsync(), 'Profile installed.');
+  });
+
+  it('resolves the custom params and data saves with the result',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start();
+
+      assert.strictEqual(await poly.saveCustomParamsAsync({a: '1'}),
+        'Custom params saved.');
+      assert.strictEqual(await poly.saveCustomDataAsync({b: 2}),
+        'Custom data saved.');
+      await assert.rejects(poly.saveCustomDataAsync('data'),
+        /not an object/);
+    });
+
+  it('rejects with a timeout error if there is no result', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+    polyglot._sendResult = function() {};
+
+    await assert.rejects(poly.getNode('node1').delNodeAsync(20),
+      {name: 'timeout'});
+    assert.deepStrictEqual(poly.getStats().requestTimeouts, {removenode: 1});
+  });
+
+  it('rejects if Polyglot is not connected', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start();
+    poly._onPolyglotConnection(false);
+
+    await assert.rejects(poly.updateProfileAsync(),
+      /Polyglot not connected/);
+
+    poly._onPolyglotConnection(true);
+  });
+
+  it('emits nodeRenamed when the name of a node changes in the config',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({nodes: [node]});
+
+      const renamed = [];
+      poly.on('nodeRenamed', function(n, oldName) {
+        renamed.push([n.address, oldName, n.name]);
+      });
+
+      polyglot.nodes.node1.name = 'Renamed';
+      polyglot.sendConfig();
+      await polyglot.idle();
+
+      assert.deepStrictEqual(renamed, [['node1', 'Node 1', 'Renamed']]);
+    });
+});
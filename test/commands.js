@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+// Node with commands declared with their params
+class DimmerNode extends helpers.Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('DIMMER', polyInterface, primary, address, name);
+
+    this.calls = [];
+
+    this.commands = {
+      SETLVL: {
+        handler: this.onSETLVL,
+        params: [
+          {name: 'level', type: 'number', uom: 51, min: 0, max: 100},
+          {name: 'rate', id: 'RR', type: 'integer', uom: 58, optional: true,
+            default: 0},
+          {name: 'fade', id: 'FD', type: 'boolean', optional: true},
+        ],
+      },
+      NOHANDLER: {params: [{name: 'level', type: 'number'}]},
+      TYPO: {hanlder: this.onSETLVL},
+    };
+
+    this.drivers = {
+      ST: {value: '0', uom: 51},
+    };
+  }
+
+  onSETLVL(args, message, signal) {
+    this.calls.push(args);
+  }
+}
+
+DimmerNode.nodeDefId = 'DIMMER';
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'DIMMER'};
+
+describe('Commands', function() {
+  let poly;
+  let polyglot;
+  let dimmer;
+
+  beforeEach(async function() {
+    poly = new helpers.Polyglot.Interface([DimmerNode], {
+      profile: {validate: false},
+    });
+    polyglot = new helpers.FakePolyglot(poly);
+    await polyglot.start({nodes: [node]});
+    dimmer = poly.getNode('node1');
+  });
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('passes the parsed params to the handler', async function() {
+    await polyglot.sendCommand('node1', 'SETLVL', 50, 51);
+    await polyglot.sendCommand('node1', 'SETLVL', 75, 51,
+      {'RR.uom58': '5', 'FD.uom2': '1'});
+
+    assert.deepStrictEqual(dimmer.calls, [
+      {level: 50, rate: 0, fade: null},
+      {level: 75, rate: 5, fade: true},
+    ]);
+  });
+
+  it('rejects the commands with invalid params', async function() {
+    await polyglot.sendCommand('node1', 'SETLVL');
+    await polyglot.sendCommand('node1', 'SETLVL', 150);
+    await polyglot.sendCommand('node1', 'SETLVL', 'abc');
+    await polyglot.sendCommand('node1', 'SETLVL', 50, 25);
+    await polyglot.sendCommand('node1', 'SETLVL', 50, 51, {'RR.uom58': '1.5'});
+
+    assert.deepStrictEqual(dimmer.calls, []);
+  });
+
+  it('rejects the commands declared without a handler', async function() {
+    await polyglot.sendCommand('node1', 'NOHANDLER', 50);
+    await polyglot.sendCommand('node1', 'TYPO', 50);
+    await polyglot.sendCommand('node1', 'SETLVL', 50);
+
+    assert.deepStrictEqual(dimmer.calls, [{level: 50, rate: 0, fade: null}]);
+    assert.strictEqual(poly.getStats().commands['DIMMER/NOHANDLER'].errors,
+      0);
+  });
+
+  it('passes the unknown commands to onUnknownCommand', async function() {
+    const unknown = [];
+    dimmer.onUnknownCommand = function(message, signal) {
+      unknown.push(message.cmd);
+    };
+
+    await polyglot.sendCommand('node1', 'DOF');
+
+    assert.deepStrictEqual(unknown, ['DOF']);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+// Records the events triggered by the interface, as [event, ...args]
+function record(poly, events) {
+  const recorded = [];
+
+  events.forEach(function(event) {
+    poly.on(event, function() {
+      recorded.push([event].concat(Array.prototype.slice.call(arguments)));
+    });
+  });
+
+  return recorded;
+}
+
+describe('Config', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('emits an event for each key changed or removed', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({
+      customParams: {a: '1', b: '2'},
+      customData: {token: 'x'},
+    });
+
+    const events = record(poly, [
+      'paramChanged', 'paramRemoved', 'customDataChanged', 'noticeChanged',
+    ]);
+
+    polyglot.customParams = {a: '1', c: '3'};
+    polyglot.customData = {token: 'y'};
+    polyglot.notices = {n: 'Notice'};
+    polyglot.sendConfig();
+    await helpers.settle(polyglot);
+
+    assert.deepStrictEqual(events, [
+      ['paramChanged', 'c', undefined, '3'],
+      ['paramRemoved', 'b', '2'],
+      ['customDataChanged', 'token', 'x', 'y'],
+      ['noticeChanged', 'n', undefined, 'Notice'],
+    ]);
+  });
+
+  it('sets newParamsDetected when the params changed', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({customParams: {a: '1'}});
+
+    const configs = [];
+    poly.on('config', function(config) {
+      configs.push(config.newParamsDetected);
+    });
+
+    polyglot.sendConfig();
+    await polyglot.idle();
+    polyglot.customParams = {a: '2'};
+    polyglot.sendConfig();
+    await polyglot.idle();
+
+    assert.deepStrictEqual(configs, [false, true]);
+  });
+
+  it('keeps the custom data added before the next config', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({customData: {a: 1}});
+
+    const events = record(poly, ['customDataChanged']);
+
+    poly.addCustomData({token: 't'});
+    poly.addCustomData({refresh: 'r'});
+    poly.removeCustomData('a');
+    await helpers.settle(polyglot);
+
+    assert.deepStrictEqual(polyglot.customData, {token: 't', refresh: 'r'});
+    assert.deepStrictEqual(events, [
+      ['customDataChanged', 'token', undefined, 't'],
+      ['customDataChanged', 'refresh', undefined, 'r'],
+    ]);
+  });
+
+  it('keeps the custom params added before the next config',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({customParams: {a: '1'}});
+
+      poly.addCustomParams({b: '2'});
+      poly.addCustomParams({c: '3'});
+      poly.removeCustomParams('a');
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(polyglot.customParams, {b: '2', c: '3'});
+    });
+
+  it('keeps the notices in custom data with the array format',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({}, {
+        noticesFormatObject: false,
+      }));
+      await polyglot.start({customData: {a: 1}});
+
+      poly.addNotice('n1', 'Notice 1');
+      poly.addNotice('n2', 'Notice 2');
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(polyglot.notices, ['Notice 1', 'Notice 2']);
+      assert.deepStrictEqual(polyglot.customData, {
+        a: 1,
+        keyedNotices: {n1: 'Notice 1', n2: 'Notice 2'},
+      });
+    });
+});
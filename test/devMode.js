@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+const devMode = require('../lib/devMode.js');
+
+const dir = path.join(os.tmpdir(), 'polyinterface-test-dev');
+const settingsFile = path.join(dir, 'dev.json');
+const fixtureFile = path.join(dir, 'dev-config.json');
+
+const fixture = {
+  nodes: [{address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'}],
+  customParams: {host: 'example.com'},
+};
+
+describe('Development mode', function() {
+  before(function() {
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(settingsFile, JSON.stringify({profileNum: 2}));
+    fs.writeFileSync(fixtureFile, JSON.stringify(fixture));
+  });
+
+  after(function() {
+    fs.unlinkSync(settingsFile);
+    fs.unlinkSync(fixtureFile);
+    fs.rmdirSync(dir);
+  });
+
+  it('is enabled by the option, the argument or the environment', function() {
+    assert.strictEqual(devMode.isEnabled(true, [], {}), true);
+    assert.strictEqual(devMode.isEnabled(undefined, ['node', '--dev'], {}),
+      true);
+    assert.strictEqual(devMode.isEnabled(undefined, [],
+      {POLYINTERFACE_DEV: 'yes'}), true);
+    assert.strictEqual(devMode.isEnabled(undefined, [],
+      {POLYINTERFACE_DEV: '0'}), false);
+  });
+
+  it('loads the settings, the environment variables and the fixture',
+    async function() {
+      const settings = await devMode.load({
+        settings: settingsFile,
+        fixture: fixtureFile,
+      }, {POLYINTERFACE_MQTT_HOST: 'localhost', POLYINTERFACE_PROFILE_NUM: 5});
+
+      assert.deepStrictEqual(settings, {
+        stdinConfig: {mqttHost: 'localhost', profileNum: 2},
+        fixture: fixture,
+      });
+    });
+
+  it('requires the files given, not the default ones', async function() {
+    const settings = await devMode.load({
+      settings: settingsFile,
+    }, {POLYINTERFACE_DEV_FIXTURE: fixtureFile});
+
+    assert.deepStrictEqual(settings.fixture, fixture);
+
+    await assert.rejects(devMode.load({
+      fixture: path.join(dir, 'missing.json'),
+    }, {}), /Could not read .*missing\.json/);
+  });
+
+  it('runs the NodeServer against the fake Polyglot without MQTT host',
+    async function() {
+      const poly = new helpers.Polyglot.Interface([helpers.TestNode], {
+        profile: {validate: false},
+        dev: {settings: settingsFile, fixture: fixtureFile},
+        exitOnShutdown: false,
+      });
+      poly._installSignalHandlers = function() {};
+
+      await poly.start();
+      await poly._devPolyglot.idle();
+
+      assert.strictEqual(poly._devPolyglot.profileNum, 2);
+      assert.strictEqual(poly.getNode('node1').name, 'Node 1');
+      assert.strictEqual(poly.getCustomParam('host'), 'example.com');
+
+      await poly._devPolyglot.stop();
+    });
+});
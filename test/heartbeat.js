@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const polyglotTopic = 'udi/polyglot/connections/polyglot';
+
+function polyglotConnected(connected) {
+  return Buffer.from(JSON.stringify({node: 'polyglot', connected: connected}));
+}
+
+describe('Heartbeat and last will', function() {
+  let poly;
+  let client;
+
+  afterEach(async function() {
+    await poly.shutdown();
+  });
+
+  it('registers a last will telling Polyglot we are disconnected',
+    async function() {
+      ({poly, client} = await helpers.createMqttInterface());
+
+      assert.deepStrictEqual(client.options.will, {
+        topic: 'udi/polyglot/ns/1',
+        payload: JSON.stringify({node: '1', connected: false}),
+        qos: 0,
+        retain: true,
+      });
+    });
+
+  it('publishes the connected status every heartbeatInterval',
+    async function() {
+      ({poly, client} = await helpers.createMqttInterface({
+        heartbeatInterval: 20,
+      }));
+
+      client.emit('connect');
+      await helpers.delay(50);
+
+      // The connected message, then at least 2 heartbeats
+      assert.strictEqual(client.published.length >= 3, true);
+      client.published.forEach(function(message) {
+        assert.deepStrictEqual(message, {node: '1', connected: true});
+      });
+    });
+
+  it('publishes the heartbeat by default, and stops it on close',
+    async function() {
+      ({poly, client} = await helpers.createMqttInterface());
+
+      client.emit('connect');
+      assert.notStrictEqual(poly._heartbeatTimer, null);
+
+      client.emit('close');
+      assert.strictEqual(poly._heartbeatTimer, null);
+    });
+
+  it('does not publish the heartbeat if heartbeatInterval is 0',
+    async function() {
+      ({poly, client} = await helpers.createMqttInterface({
+        heartbeatInterval: 0,
+      }));
+
+      client.emit('connect');
+      assert.strictEqual(poly._heartbeatTimer, null);
+    });
+
+  it('emits the Polyglot connection changes', async function() {
+    ({poly, client} = await helpers.createMqttInterface());
+
+    const events = [];
+    ['polyglotConnected', 'polyglotDisconnected'].forEach(function(event) {
+      poly.on(event, function() {
+        events.push(event);
+      });
+    });
+
+    client.emit('connect');
+    client.emit('message', polyglotTopic, polyglotConnected(true));
+    client.emit('message', polyglotTopic, polyglotConnected(true));
+    client.emit('message', polyglotTopic, polyglotConnected(false));
+
+    assert.deepStrictEqual(events,
+      ['polyglotConnected', 'polyglotDisconnected']);
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+describe('Node lifecycle', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('emits the node lifecycle events', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+
+    const events = [];
+    ['nodeAdded', 'nodeRenamed', 'nodeEnabledChanged', 'nodeRemoved']
+    .forEach(function(event) {
+      poly.on(event, function(n, arg) {
+        events.push([event, n.address, arg]);
+      });
+    });
+
+    polyglot.nodes.node1.name = 'Renamed';
+    polyglot.nodes.node1.enabled = false;
+    polyglot.sendConfig();
+    await polyglot.idle();
+
+    await poly.addNode(new helpers.TestNode(poly, 'node2', 'node2', 'Node 2'));
+    await helpers.settle(polyglot);
+
+    delete polyglot.nodes.node1;
+    polyglot.sendConfig();
+    await polyglot.idle();
+
+    assert.deepStrictEqual(events, [
+      ['nodeRenamed', 'node1', 'Node 1'],
+      ['nodeEnabledChanged', 'node1', false],
+      ['nodeAdded', 'node2', undefined],
+      ['nodeRemoved', 'node1', undefined],
+    ]);
+  });
+
+  it('runs the node hooks before the config event', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+
+    const steps = [];
+    helpers.TestNode.prototype.onAdded = async function() {
+      await helpers.delay(10);
+      steps.push('onAdded ' + this.address);
+    };
+    helpers.TestNode.prototype.onConfig = function(config) {
+      steps.push('onConfig ' + this.address);
+    };
+    helpers.TestNode.prototype.onRemoved = function() {
+      steps.push('onRemoved ' + this.address);
+    };
+    poly.on('config', function() {
+      steps.push('config');
+    });
+
+    try {
+      await polyglot.start({nodes: [node]});
+
+      delete polyglot.nodes.node1;
+      polyglot.sendConfig();
+      await polyglot.idle();
+    } finally {
+      delete helpers.TestNode.prototype.onAdded;
+      delete helpers.TestNode.prototype.onConfig;
+      delete helpers.TestNode.prototype.onRemoved;
+    }
+
+    assert.deepStrictEqual(steps, [
+      'onAdded node1', 'onConfig node1', 'config',
+      'onRemoved node1', 'config',
+    ]);
+  });
+
+  it('logs the errors of the hooks, and still emits config',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+
+      const configs = [];
+      poly.on('config', function(config) {
+        configs.push(config);
+      });
+      poly.on('nodeAdded', function(n) {
+        n.onAdded = function() {
+          throw new Error('onAdded failed');
+        };
+      });
+
+      await polyglot.start({nodes: [node]});
+
+      assert.strictEqual(configs.length, 1);
+    });
+
+  it('ignores the nodes with an unknown nodedef', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [
+      node,
+      {address: 'node2', name: 'Node 2', nodedef: 'UNKNOWN'},
+    ]});
+
+    assert.deepStrictEqual(Object.keys(poly.getNodes()), ['node1']);
+  });
+});
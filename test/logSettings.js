@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+
+const loggerFile = path.resolve(__dirname, '../lib/logger.js');
+
+// Runs script in a new process, in an empty directory, without the log
+// settings of the tests. Returns the files created in the directory.
+function runInEmptyDir(script) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyinterface-test-'));
+  const env = Object.assign({}, process.env);
+  delete env.POLYINTERFACE_LOG_DIR;
+
+  try {
+    childProcess.execFileSync(process.execPath, [
+      '-e', 'const logger = require(' + JSON.stringify(loggerFile) + ');' +
+        script,
+    ], {cwd: dir, env: env, timeout: 10000});
+
+    return fs.readdirSync(dir);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+}
+
+describe('Log settings', function() {
+  this.timeout(20000);
+
+  it('does not create the log directory when the logger is loaded',
+    function() {
+      assert.deepStrictEqual(runInEmptyDir(''), []);
+    });
+
+  it('creates the log file in the directory configured before logging',
+    function() {
+      assert.deepStrictEqual(runInEmptyDir(
+        'logger.configure({dir: "custom"}); logger.info("Logged");'),
+      ['custom']);
+      assert.deepStrictEqual(runInEmptyDir('logger.info("Logged");'),
+        ['logs']);
+    });
+
+  describe('with the interface', function() {
+    let poly;
+    let polyglot;
+
+    afterEach(async function() {
+      await polyglot.stop();
+    });
+
+    it('keeps the log level set at runtime when the param does not change',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface());
+        await polyglot.start();
+        const initialLevel = poly.getLogLevel();
+
+        poly.setLogLevel('debug');
+        poly.addCustomData({a: 1});
+        await helpers.settle(polyglot);
+        assert.strictEqual(poly.getLogLevel(), 'debug');
+
+        poly.addCustomParams({logLevel: 'warn'});
+        await helpers.settle(polyglot);
+        assert.strictEqual(poly.getLogLevel(), 'warn');
+
+        poly.removeCustomParams('logLevel');
+        await helpers.settle(polyglot);
+        assert.strictEqual(poly.getLogLevel(), initialLevel);
+      });
+
+    it('adds a notice for an invalid log level param', async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({customParams: {logLevel: 'loud'}});
+      await helpers.settle(polyglot);
+
+      assert.strictEqual(polyglot.notices['param-logLevel'],
+        'Parameter logLevel: Invalid log level loud');
+
+      poly.addCustomParams({logLevel: 'info'});
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(polyglot.notices, {});
+    });
+  });
+});
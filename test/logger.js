@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+const logger = require('../lib/logger.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+// Returns the line of the log file which contains text. Waits for the log
+// file to be written.
+async function logLine(text) {
+  const file = path.join(process.env.POLYINTERFACE_LOG_DIR, 'debug.log');
+
+  for (let i = 0; i < 100; i++) {
+    try {
+      const line = fs.readFileSync(file, 'utf8').split('\n')
+      .find(function(l) {
+        return l.includes(text);
+      });
+
+      if (line) {
+        return line;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    await helpers.delay(20);
+  }
+
+  throw new Error('Not logged: ' + text);
+}
+
+// Unique text to find in the log file
+function marker(name) {
+  return name + '-' + Date.now() + '-' + Math.random().toString(16).substr(2);
+}
+
+describe('Logger', function() {
+  let poly;
+  let polyglot;
+
+  beforeEach(async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: [node]});
+  });
+
+  afterEach(async function() {
+    logger.setFormat('text');
+    await polyglot.stop();
+  });
+
+  it('tags the log entries of a node with its address and nodeDefId',
+    async function() {
+      const text = marker('node');
+      logger.setFormat('json');
+
+      poly.getNode('node1').logger.info('%s logged', text);
+      const entry = JSON.parse(await logLine(text));
+
+      assert.strictEqual(typeof entry.timestamp, 'string');
+      delete entry.timestamp;
+      assert.deepStrictEqual(entry, {
+        level: 'info',
+        label: 'NS',
+        message: text + ' logged',
+        address: 'node1',
+        nodeDefId: 'TESTNODE',
+      });
+    });
+
+  it('shows the node address in the text format', async function() {
+    const text = marker('text');
+
+    poly.getNode('node1').logger.warn(text);
+
+    assert.strictEqual(/ warn: NS: \[node1\] text-\S+$/.test(
+      await logLine(text)), true);
+  });
+
+  it('tags the interface log entries about a node', async function() {
+    const driver = marker('GV');
+    logger.setFormat('json');
+
+    poly.getNode('node1').setDriver(driver, 1);
+    const entry = JSON.parse(await logLine(driver));
+
+    assert.strictEqual(entry.label, 'POLY');
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.address, 'node1');
+    assert.strictEqual(entry.driver, driver);
+  });
+
+  it('logs the errors with their stack with the label of the logger',
+    async function() {
+      const text = marker('stack');
+
+      logger.ns.errorStack(new Error('Failed'), '%s:', text);
+      const line = await logLine(text);
+
+      // The stack follows on the next lines
+      assert.strictEqual(
+        line.endsWith('error: NS: ' + text + ': Error: Failed'), true);
+    });
+
+  it('rejects the unknown formats and levels', function() {
+    assert.throws(function() {
+      logger.setFormat('xml');
+    }, /Invalid log format xml/);
+    assert.throws(function() {
+      logger.setLevel('verbose2');
+    }, /Invalid log level verbose2/);
+  });
+});
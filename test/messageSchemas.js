@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+const messageSchemas = require('../lib/messageSchemas.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+const invalidStatus = {address: 'node1', driver: 'ST', value: '1'};
+
+describe('Message schemas', function() {
+  it('validates the messages received from Polyglot', function() {
+    assert.deepStrictEqual(messageSchemas.validateInbound('command',
+      {address: 'node1', cmd: 'DON'}), []);
+    assert.deepStrictEqual(messageSchemas.validateInbound('command',
+      {address: 'node1', cmd: ''}), ['command.cmd must not be empty']);
+    assert.deepStrictEqual(messageSchemas.validateInbound('unknown', 1), []);
+  });
+
+  it('validates the messages sent to Polyglot', function() {
+    assert.deepStrictEqual(messageSchemas.validateOutbound({
+      node: '1',
+      status: [{address: 'node1', driver: 'ST', value: '1', uom: 51}],
+    }), []);
+    assert.deepStrictEqual(messageSchemas.validateOutbound({
+      foo: 1,
+      removenode: {},
+    }), ['Unknown message foo', 'removenode.address is required']);
+  });
+
+  describe('with the interface', function() {
+    let poly;
+    let polyglot;
+
+    afterEach(async function() {
+      await polyglot.stop();
+    });
+
+    it('ignores the malformed messages received', async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({nodes: [node]});
+
+      await polyglot.sendCommand('node1', '');
+
+      assert.deepStrictEqual(poly.getNode('node1').calls, []);
+    });
+
+    it('throws to the caller of sendMessage in strict mode',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface({strictMessages: true}));
+        await polyglot.start({nodes: [node]});
+
+        assert.throws(function() {
+          poly.sendMessage({status: invalidStatus});
+        }, /Invalid message sent to Polyglot: status.uom is required/);
+      });
+
+    it('throws before buffering or batching the message in strict mode',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface({
+          strictMessages: true,
+          outboundBuffer: true,
+          statusBatching: {window: 10},
+        }));
+        await polyglot.start({nodes: [node]});
+
+        assert.throws(function() {
+          poly.reportStatus(invalidStatus);
+        }, /status.uom is required/);
+        assert.strictEqual(poly._statusReporter.length, 0);
+
+        poly._onPolyglotConnection(false);
+        assert.throws(function() {
+          poly.sendMessage({removenode: {}});
+        }, /removenode.address is required/);
+        assert.strictEqual(poly._outboundBuffer.length, 0);
+        poly._onPolyglotConnection(true);
+      });
+
+    it('logs the invalid buffered messages, and sends the others',
+      async function() {
+        ({poly, polyglot} = helpers.createInterface({outboundBuffer: true}));
+        await polyglot.start({nodes: [node]});
+        polyglot.clearMessages();
+
+        // Buffered before strict mode is enabled
+        poly._onPolyglotConnection(false);
+        poly.sendMessage({removenode: {}});
+        poly.sendMessage({customparamsdoc: 'Doc'});
+        poly._strictMessages = true;
+
+        const errors = helpers.captureLog('errorStack');
+        poly._onPolyglotConnection(true);
+        errors.restore();
+
+        assert.strictEqual(errors.messages.length, 1);
+        assert.deepStrictEqual(polyglot.sent('customparamsdoc'), ['Doc']);
+      });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const nodes = [
+  {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'},
+  {address: 'node2', name: 'Node 2', nodedef: 'TESTNODE'},
+];
+
+describe('Queued messages', function() {
+  let poly;
+  let polyglot;
+
+  afterEach(async function() {
+    await polyglot.stop();
+  });
+
+  it('processes the messages of a node one at a time', async function() {
+    ({poly, polyglot} = helpers.createInterface({queueConcurrency: 4}));
+    await polyglot.start({nodes: nodes});
+
+    polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+    polyglot.send({command: {address: 'node1', cmd: 'DON'}});
+    await polyglot.idle();
+
+    assert.deepStrictEqual(poly.getNode('node1').calls,
+      ['SLOW start', 'SLOW end', 'DON']);
+  });
+
+  it('processes the messages of different nodes in parallel',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({queueConcurrency: 4}));
+      await polyglot.start({nodes: nodes});
+
+      const steps = [];
+      poly.getNode('node2').commands.DON = function() {
+        steps.push('node2 DON, node1 ' +
+          poly.getNode('node1').calls.join(', '));
+      };
+
+      polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+      polyglot.send({command: {address: 'node2', cmd: 'DON'}});
+      await polyglot.idle();
+
+      assert.deepStrictEqual(steps, ['node2 DON, node1 SLOW start']);
+    });
+
+  it('processes one message at a time by default', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: nodes});
+
+    const steps = [];
+    poly.getNode('node2').commands.DON = function() {
+      steps.push('node2 DON, node1 ' +
+        poly.getNode('node1').calls.join(', '));
+    };
+
+    polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+    polyglot.send({command: {address: 'node2', cmd: 'DON'}});
+    await polyglot.idle();
+
+    assert.deepStrictEqual(steps, ['node2 DON, node1 SLOW start, SLOW end']);
+  });
+
+  it('runs the config after the commands queued before it',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface({queueConcurrency: 4}));
+      await polyglot.start({nodes: nodes});
+
+      const configs = [];
+      poly.on('config', function() {
+        configs.push(poly.getNode('node1').calls.slice());
+      });
+
+      polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+      polyglot.sendConfig();
+      await helpers.settle(polyglot);
+
+      assert.deepStrictEqual(configs, [['SLOW start', 'SLOW end']]);
+    });
+
+  it('logs the errors of the handlers, and moves on', async function() {
+    ({poly, polyglot} = helpers.createInterface());
+    await polyglot.start({nodes: nodes});
+
+    await polyglot.sendCommand('node1', 'FAIL');
+    await polyglot.sendCommand('node1', 'DON');
+
+    assert.deepStrictEqual(poly.getNode('node1').calls, ['DON']);
+  });
+
+  it('passes the command message and the signal to query used as a command',
+    async function() {
+      ({poly, polyglot} = helpers.createInterface());
+      await polyglot.start({nodes: nodes});
+
+      await polyglot.sendCommand('node1', 'QUERY');
+      const args = poly.getNode('node1').queryArgs;
+
+      assert.strictEqual(args.message.cmd, 'QUERY');
+      assert.strictEqual(args.signal.aborted, false);
+
+      await polyglot.sendQuery('node1');
+      assert.deepStrictEqual(poly.getNode('node1').queryArgs.message,
+        {address: 'node1'});
+    });
+
+  it('adds a notice when a handler times out, and removes it once a ' +
+    'handler for the node finishes in time', async function() {
+    ({poly, polyglot} = helpers.createInterface({
+      handlerTimeouts: {command: 20},
+    }));
+    await polyglot.start({nodes: nodes});
+
+    await polyglot.sendCommand('node1', 'SLOW', 50);
+    await helpers.settle(polyglot);
+
+    assert.strictEqual(poly.getNode('node1').slowSignal.aborted, true);
+    assert.strictEqual(typeof polyglot.notices['timeout-node1'], 'string');
+
+    await helpers.delay(50);
+    await polyglot.sendCommand('node1', 'DON');
+    await helpers.settle(polyglot);
+
+    assert.strictEqual('timeout-node1' in polyglot.notices, false);
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./support/helpers.js');
+const mqttOptions = require('../lib/mqttOptions.js');
+
+describe('mqttOptions', function() {
+  it('uses the defaults', function() {
+    const connection = mqttOptions({mqttHost: 'localhost', mqttPort: 1883});
+
+    assert.strictEqual(connection.url, 'mqtts://localhost');
+    assert.strictEqual(connection.options.port, 1883);
+    assert.strictEqual(connection.options.username, 'admin');
+    assert.strictEqual(connection.options.password, 'admin');
+    assert.strictEqual(connection.options.rejectUnauthorized, false);
+    assert.strictEqual(/^mqttjs_/.test(connection.options.clientId), true);
+  });
+
+  it('merges the environment, the stdin config and the options, in that ' +
+    'order', function() {
+    const connection = mqttOptions({
+      mqttHost: 'polyglot',
+      mqttUsername: 'stdin',
+    }, {
+      POLYINTERFACE_MQTT_HOST: 'env',
+      POLYINTERFACE_MQTT_PORT: '8883',
+      POLYINTERFACE_MQTT_USERNAME: 'env',
+      POLYINTERFACE_MQTT_PASSWORD: 'env',
+    }, {
+      password: 'options',
+      clientId: 'myclient',
+    });
+
+    assert.strictEqual(connection.url, 'mqtts://polyglot');
+    assert.strictEqual(connection.options.port, 8883);
+    assert.strictEqual(connection.options.username, 'stdin');
+    assert.strictEqual(connection.options.password, 'options');
+    assert.strictEqual(connection.options.clientId, 'myclient');
+  });
+
+  it('converts the values', function() {
+    const connection = mqttOptions({
+      mqttHost: 'localhost',
+      mqttProtocol: 'wss',
+      mqttPath: '/mqtt',
+      mqttKeepalive: '30',
+      mqttRejectUnauthorized: 'yes',
+    }, {POLYINTERFACE_MQTT_RECONNECT_PERIOD: '0'});
+
+    assert.strictEqual(connection.url, 'wss://localhost');
+    assert.strictEqual(connection.options.path, '/mqtt');
+    assert.strictEqual(connection.options.keepalive, 30);
+    assert.strictEqual(connection.options.reconnectPeriod, 0);
+    assert.strictEqual(connection.options.rejectUnauthorized, true);
+  });
+
+  it('reads the certificate files, and keeps the Buffers', function() {
+    const file = path.join(os.tmpdir(), 'polyinterface-test-ca.pem');
+    fs.writeFileSync(file, 'CA');
+
+    try {
+      const connection = mqttOptions({mqttHost: 'localhost', mqttCa: file},
+        {}, {cert: Buffer.from('CERT')});
+
+      assert.strictEqual(connection.options.ca.toString(), 'CA');
+      assert.strictEqual(connection.options.cert.toString(), 'CERT');
+      assert.strictEqual('key' in connection.options, false);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('rejects the invalid values', function() {
+    assert.throws(function() {
+      mqttOptions({mqttPort: 'abc'});
+    }, /port is not a number: abc/);
+    assert.throws(function() {
+      mqttOptions({}, {POLYINTERFACE_MQTT_REJECT_UNAUTHORIZED: 'maybe'});
+    }, /rejectUnauthorized is not a boolean: maybe/);
+    assert.throws(function() {
+      mqttOptions({mqttProtocol: 'tcp'});
+    }, /MQTT protocol tcp is not supported/);
+  });
+
+  it('is used by the interface to connect', async function() {
+    const {poly, client} = await helpers.createMqttInterface({
+      mqtt: {username: 'options', keepalive: 10},
+    }, {mqttPassword: 'stdin'});
+
+    assert.strictEqual(client.url, 'mqtts://localhost');
+    assert.strictEqual(client.options.port, 1883);
+    assert.strictEqual(client.options.username, 'options');
+    assert.strictEqual(client.options.password, 'stdin');
+    assert.strictEqual(client.options.keepalive, 10);
+
+    await poly.shutdown();
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./support/helpers.js');
+
+const node = {address: 'node1', name: 'Node 1', nodedef: 'TESTNODE'};
+
+describe('Shutdown', function() {
+  it('runs the stop listeners and onStop hooks, then disconnects',
+    async function() {
+      const {poly, polyglot} = helpers.createInterface();
+      const steps = [];
+
+      await polyglot.start({nodes: [node]});
+
+      poly.on('stop', async function() {
+        await helpers.delay(10);
+        steps.push('stop listener');
+      });
+      poly.getNode('node1').onStop = function(reason) {
+        steps.push('onStop ' + reason);
+      };
+
+      await polyglot.stop();
+
+      assert.deepStrictEqual(steps, ['stop listener', 'onStop stop']);
+      assert.deepStrictEqual(polyglot.sent('connected').slice(-1), [false]);
+    });
+
+  it('waits for the messages being processed', async function() {
+    const {poly, polyglot} = helpers.createInterface();
+
+    await polyglot.start({nodes: [node]});
+
+    polyglot.send({command: {address: 'node1', cmd: 'SLOW', value: '20'}});
+    await polyglot.stop();
+
+    assert.deepStrictEqual(poly.getNode('node1').calls,
+      ['SLOW start', 'SLOW end']);
+  });
+
+  it('ignores the messages received once shutting down', async function() {
+    const {poly, polyglot} = helpers.createInterface();
+
+    await polyglot.start({nodes: [node]});
+
+    const stopped = polyglot.stop();
+    polyglot.send({command: {address: 'node1', cmd: 'DON'}});
+    await stopped;
+
+    assert.deepStrictEqual(poly.getNode('node1').calls, []);
+  });
+
+  it('runs the delete listeners on delete', async function() {
+    const {poly, polyglot} = helpers.createInterface();
+    const reasons = [];
+
+    await polyglot.start({nodes: [node]});
+
+    poly.on('delete', function() {
+      reasons.push('delete');
+    });
+    poly.getNode('node1').onStop = function(reason) {
+      reasons.push(reason);
+    };
+
+    await polyglot.delete();
+
+    assert.deepStrictEqual(reasons, ['delete', 'delete']);
+  });
+
+  it('does not wait longer than the shutdown timeout', async function() {
+    const {poly, polyglot} = helpers.createInterface({shutdownTimeout: 20});
+
+    await polyglot.start({nodes: [node]});
+
+    poly.on('stop', function() {
+      return helpers.delay(200);
+    });
+
+    const startedAt = Date.now();
+    await polyglot.stop();
+
+    assert.strictEqual(Date.now() - startedAt < 150, true);
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const events = require('events');
+const mqtt = require('mqtt');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+// The tests must not write their logs in the repository
+process.env.POLYINTERFACE_LOG_DIR = process.env.POLYINTERFACE_LOG_DIR ||
+  path.join(os.tmpdir(), 'polyinterface-test-logs');
+
+const Polyglot = require('../../index.js');
+const FakePolyglot = require('../../testing.js').FakePolyglot;
+const logger = require('../../lib/logger.js');
+
+function delay(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+// Node used by the tests.
+//   DON: Sets ST to the value (Default 100)
+//   SLOW: Waits for the value in ms, then sets GV1 to it
+//   FAIL: Throws
+//   QUERY: Runs query() as a command
+class TestNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('TESTNODE', polyInterface, primary, address, name);
+
+    this.calls = []; // Commands, queries and polls, in the order they ran
+
+    this.commands = {
+      DON: this.onDON,
+      SLOW: this.onSLOW,
+      FAIL: this.onFAIL,
+      QUERY: this.query,
+    };
+
+    this.drivers = {
+      ST: {value: '0', uom: 51},
+      GV1: {value: '0', uom: 56},
+    };
+  }
+
+  onDON(message) {
+    this.calls.push('DON');
+    this.setDriver('ST', message.value || 100);
+  }
+
+  async onSLOW(message, signal) {
+    this.calls.push('SLOW start');
+    this.slowSignal = signal;
+    await delay(parseInt(message.value, 10));
+    this.calls.push('SLOW end');
+    this.setDriver('GV1', message.value);
+  }
+
+  onFAIL() {
+    throw new Error('Command failed');
+  }
+
+  query(message, signal) {
+    this.calls.push('query');
+    this.queryArgs = {message: message, signal: signal};
+    return super.query(message, signal);
+  }
+
+  async shortPoll(signal) {
+    this.calls.push('shortPoll start');
+    await delay(this.pollDuration || 0);
+    this.calls.push('shortPoll end');
+  }
+}
+
+TestNode.nodeDefId = 'TESTNODE';
+
+// Creates an interface with a fake Polyglot.
+// The profile is not validated, there is none in the tests.
+function createInterface(options = {}, fakeOptions = {}) {
+  const poly = new Polyglot.Interface([TestNode], Object.assign({
+    profile: {validate: false},
+  }, options));
+
+  return {poly: poly, polyglot: new FakePolyglot(poly, fakeOptions)};
+}
+
+// Creates and starts an interface connected to a fake MQTT client instead of
+// the fake Polyglot, to test the MQTT handlers. The client is not connected
+// until the test emits connect.
+// Returns {poly, client}. client.published has the messages published.
+async function createMqttInterface(options = {}, stdinConfig = {}) {
+  const connect = mqtt.connect;
+  const client = new events.EventEmitter();
+
+  client.published = [];
+  client.subscribe = function() {};
+  client.publish = function(topic, payload, publishOptions) {
+    client.published.push(JSON.parse(payload));
+  };
+  client.end = function(force, cb) {
+    if (typeof cb === 'function') {
+      cb();
+    }
+  };
+
+  mqtt.connect = function(url, connectOptions) {
+    client.url = url;
+    client.options = connectOptions;
+    return client;
+  };
+
+  const poly = new Polyglot.Interface([TestNode], Object.assign({
+    profile: {validate: false},
+    exitOnShutdown: false,
+  }, options));
+
+  poly._getStdinConfig = async function() {
+    return Object.assign({
+      mqttHost: 'localhost',
+      mqttPort: 1883,
+      profileNum: 1,
+    }, stdinConfig);
+  };
+  poly._installSignalHandlers = function() {};
+
+  try {
+    await poly.start();
+  } finally {
+    mqtt.connect = connect;
+  }
+
+  return {poly: poly, client: client};
+}
+
+// Records the messages logged by polyinterface at that level.
+// Returns {messages, restore}. restore() stops the recording.
+function captureLog(level) {
+  const log = logger[level];
+  const messages = [];
+
+  logger[level] = function() {
+    messages.push(util.format.apply(util, arguments));
+    return log.apply(this, arguments);
+  };
+
+  return {
+    messages: messages,
+    restore: function() {
+      logger[level] = log;
+    },
+  };
+}
+
+// Waits for the messages queued, including the configs the fake Polyglot
+// sends back after customParams, customData or notices changes.
+async function settle(polyglot) {
+  for (let i = 0; i < 3; i++) {
+    await polyglot.idle();
+    await delay(5);
+  }
+  await polyglot.idle();
+}
+
+module.exports = {
+  Polyglot: Polyglot,
+  FakePolyglot: FakePolyglot,
+  TestNode: TestNode,
+  createInterface: createInterface,
+  createMqttInterface: createMqttInterface,
+  captureLog: captureLog,
+  settle: settle,
+  delay: delay,
+};
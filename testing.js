@@ -0,0 +1,8 @@
+'use strict';
+
+// Utilities to test a NodeServer without Polyglot.
+// Usage: const FakePolyglot = require('polyinterface/testing').FakePolyglot;
+module.exports = {
+  // Fake Polyglot which is attached to an Interface instance
+  FakePolyglot: require('./lib/FakePolyglot.js'),
+};